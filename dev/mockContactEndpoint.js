@@ -0,0 +1,165 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * Vite dev-server plugin serving a mock contact endpoint at /api/contact.
+ * It logs submissions to the terminal and mirrors the basic server-side
+ * validation a real backend would do.
+ *
+ * To exercise the contact queue's retry path, make the next N submissions
+ * fail before they succeed:
+ *
+ *   POST /api/contact/__fail?count=3&status=503
+ *
+ * `failFirst` does the same from the plugin options.
+ *
+ * The `spam` block from src/utils/spamProtection.js is verified the way a
+ * real backend should: empty honeypot, minimum fill time and, with
+ * `powDifficulty` set (to the page's data-three-contact-pow), a recent
+ * proof-of-work hash with at least that many leading zero bits. The
+ * difficulty the client claims is ignored.
+ *
+ * The challenge is made up by the client (there is no round trip to fetch
+ * one), so a solved token could be sent again while it is fresh. Each
+ * challenge is therefore accepted once; a real backend has to remember used
+ * challenges for POW_MAX_AGE_MS as well. Keep `powDifficulty` at or below
+ * MAX_POW_DIFFICULTY in spamProtection.js, which the page's value is clamped to.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MIN_FILL_TIME_MS = 3000;
+const POW_MAX_AGE_MS = 10 * 60 * 1000;
+
+const leadingZeroBits = (buffer) => {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+};
+
+// Returns a rejection reason, or null when the token passes. `usedChallenges`
+// maps accepted challenges to when they were issued.
+const verifySpamToken = (spam, email, powDifficulty, usedChallenges) => {
+    if (!spam) return 'missing spam token';
+    if (spam.honeypot) return 'honeypot filled';
+    if (!(spam.elapsedMs >= MIN_FILL_TIME_MS)) return 'submitted too fast';
+
+    if (powDifficulty > 0) {
+        if (!spam.pow) return 'missing proof of work';
+        const { challenge, nonce } = spam.pow;
+        const [issuedAt, , challengeEmail] = String(challenge).split(':');
+        const digest = createHash('sha256').update(`${challenge}:${nonce}`).digest();
+        if (leadingZeroBits(digest) < powDifficulty) return 'invalid proof of work';
+        if (Date.now() - Number(issuedAt) > POW_MAX_AGE_MS) return 'expired proof of work';
+        if (challengeEmail !== String(email).trim().toLowerCase()) return 'proof of work for another email';
+        if (usedChallenges.has(challenge)) return 'reused proof of work';
+    }
+    return null;
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, data) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+};
+
+/**
+ * Request handler behind the plugin, mounted at the endpoint path (request
+ * URLs are relative to it). Exported so tests can serve it from a plain
+ * node:http server.
+ * @param {Object} [options] - The plugin options, plus `logger` ({ info, warn })
+ * @returns {Function} (req, res) => Promise
+ */
+export const createContactHandler = ({ delay = 600, failFirst = 0, powDifficulty = 0, logger = console } = {}) => {
+    let nextId = 1;
+    let failuresLeft = failFirst;
+    let failureStatus = 503;
+    const usedChallenges = new Map();
+
+    // Expired challenges are rejected by age anyway
+    const rememberChallenge = (pow) => {
+        if (!pow) return;
+        const cutoff = Date.now() - POW_MAX_AGE_MS;
+        usedChallenges.forEach((issuedAt, challenge) => {
+            if (issuedAt < cutoff) usedChallenges.delete(challenge);
+        });
+        usedChallenges.set(pow.challenge, Number(String(pow.challenge).split(':')[0]));
+    };
+
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/__fail') {
+            failuresLeft = parseInt(url.searchParams.get('count') || '1', 10);
+            failureStatus = parseInt(url.searchParams.get('status') || '503', 10);
+            sendJson(res, 200, { failuresLeft, failureStatus });
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        let data;
+        try {
+            data = await readJsonBody(req);
+        } catch {
+            sendJson(res, 400, { error: 'Invalid JSON' });
+            return;
+        }
+
+        if (!data.name || !EMAIL_PATTERN.test(data.email || '') || !data.message) {
+            sendJson(res, 422, { error: 'Missing or invalid fields' });
+            return;
+        }
+
+        const spamReason = verifySpamToken(data.spam, data.email, powDifficulty, usedChallenges);
+        if (spamReason) {
+            logger.warn(`[mock-contact] rejected as spam: ${spamReason}`);
+            sendJson(res, 422, { error: 'Rejected as spam' });
+            return;
+        }
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            logger.info(`[mock-contact] simulated ${failureStatus} (${failuresLeft} left)`);
+            sendJson(res, failureStatus, { error: 'Simulated failure' });
+            return;
+        }
+
+        if (powDifficulty > 0) rememberChallenge(data.spam.pow);
+        const id = nextId++;
+        logger.info(`[mock-contact] #${id} from ${data.name} <${data.email}>`);
+        setTimeout(() => sendJson(res, 200, { ok: true, id }), delay);
+    };
+};
+
+export default function mockContactEndpoint({ path = '/api/contact', ...options } = {}) {
+    return {
+        name: 'mock-contact-endpoint',
+        apply: 'serve',
+        configureServer(server) {
+            server.middlewares.use(path, createContactHandler({ ...options, logger: server.config.logger }));
+        },
+    };
+}
@@ -1,9 +1,34 @@
 import { useRef } from "react";
 import { Stars } from "@react-three/drei";
+import { useFrame } from "@react-three/fiber";
+import { easing } from "maath";
 import { useFrameRate } from "./utils/useFrameRate";
+import { useContactFormEvents } from "./utils/useContactFormEvents";
+import { introProgress } from "./utils/introTimeline";
 
 export default function AnimatedStars(props) {
     const starsRef = useRef();
+    const pulse = useRef({ value: 0 });
+    const introRevealing = useRef(true);
+
+    // Pulse the star field on every keystroke in a contact form
+    useContactFormEvents({
+        input: () => { pulse.current.value = Math.min(1, pulse.current.value + 0.5); },
+    });
+
+    useFrame((state, delta) => {
+        // Fade the field up during the scene intro by drawing more and more stars
+        const points = starsRef.current?.children[0];
+        if (points && introRevealing.current) {
+            const intro = introProgress.stars;
+            points.geometry.setDrawRange(0, intro < 1 ? Math.ceil(points.geometry.attributes.position.count * intro) : Infinity);
+            introRevealing.current = intro < 1;
+        }
+
+        if (!starsRef.current || pulse.current.value < 0.001) return;
+        easing.damp(pulse.current, "value", 0, 0.25, delta);
+        starsRef.current.scale.setScalar(1 + pulse.current.value * 0.04);
+    });
 
     useFrameRate((state, delta) => {
         if (starsRef.current) {
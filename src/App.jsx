@@ -1,5 +1,5 @@
 import * as THREE from "three";
-import React, { useEffect, useRef, useState, useCallback } from "react"; // Import useState
+import React, { Suspense, useEffect, useRef, useState, useCallback, useMemo } from "react"; // Import useState
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import {
   useCursor,
@@ -11,7 +11,6 @@ import {
   Html,
   Resize,
   ContactShadows,
-  MeshPortalMaterial,
   Stars,
   Center,
   CameraControls,
@@ -25,53 +24,66 @@ import {
 } from "@react-three/postprocessing";
 
 import Frames from "./Frames";
+import FrameFilters from "./FrameFilters";
 import Terrain from "./Terrain";
 
 // import { Heading } from "./Site-headings";
 import { ContactHeader } from "./Contact_header";
+import { ContactForm } from "./ContactForm";
 import AnimatedStars from "./AnimatedStars";
-import getApiData from "./images";
+import { useProjectStore } from "./utils/useProjectStore";
+import { useCategoryFilter } from "./utils/useCategoryFilter";
+import { filterImagesByCategory } from "./utils/categoryFilter";
+import { layoutImages } from "./images";
+import { useContactFormBridge, useContactFormEvents } from "./utils/useContactFormEvents";
+import { requestCameraShot, releaseCameraShot } from "./utils/cameraDirector";
+import { useScrollCameraPath } from "./utils/useScrollCameraPath";
+import { useLocale } from "./utils/useLocale";
+import { introTimeline } from "./utils/introTimeline";
 import { devLog, devWarn, devError } from './utils/devLog';
 import ErrorBoundary from './components/ErrorBoundary';
 import ThreeErrorBoundary from './components/ThreeErrorBoundary';
 import Env from "./Env";
 import FloatingLight from "./FloatingLight";
 import MouseCameraController from "./MouseCameraController";
+import CameraDirector from "./CameraDirector";
+import FitCameraToModel from "./FitCameraToModel";
 
 const INITIAL_FOV = 60; // Define initial FOV
+const CAMERA_POSITION = [0, 8, 5];
+const HEADER_POSITION = [0, 7.8, -3];
+// Seconds to wait for the header before the intro starts without it
+const INTRO_FALLBACK_DELAY = 4;
 
 const App = ({ }) => {
   const innerSceneRef = useRef();
-  const contactHeaderRef = useRef(); // Create ref for Heading
-  const [images, setImages] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+  const { images, isLoading, error: projectsError } = useProjectStore();
+  const { activeCategory, setCategory } = useCategoryFilter();
+  // Let the scene react to a Webflow contact form in the host page
+  useContactFormBridge();
+  // Lean in on the header while a contact form is being filled in
+  useContactFormEvents({
+    focus: () => requestCameraShot("contact-form"),
+    blur: () => releaseCameraShot("contact-form"),
+    success: () => releaseCameraShot("contact-form"),
+  });
+  // Fly the camera down through the scene as the page scrolls past the sticky root
+  useScrollCameraPath();
+  // The header starts the intro once loaded; don't leave the scene hidden if it never does
+  useEffect(() => introTimeline.playAfter(INTRO_FALLBACK_DELAY), []);
+  const { t } = useLocale();
+  // Re-flow the remaining frames into a tighter layout when a category is active
+  const visibleImages = useMemo(
+    () => activeCategory ? layoutImages(filterImagesByCategory(images, activeCategory)) : images,
+    [images, activeCategory]
+  );
   const [sceneError, setSceneError] = useState(null);
 
   useEffect(() => {
-    const extractImagesFromDOM = async () => {
-      try {
-        setIsLoading(true);
-        // Ensure DOM is ready before extraction
-        if (document.readyState === 'loading') {
-          document.addEventListener('DOMContentLoaded', async () => {
-            const data = await getApiData();
-            setImages(data);
-            setIsLoading(false);
-          });
-        } else {
-          // DOM is already ready
-          const data = await getApiData();
-          setImages(data);
-          setIsLoading(false);
-        }
-      } catch (error) {
-        devError('Failed to extract images from DOM:', error);
-        setSceneError(error);
-        setIsLoading(false);
-      }
-    };
-    extractImagesFromDOM();
-  }, []);
+    if (projectsError) {
+      setSceneError(projectsError);
+    }
+  }, [projectsError]);
 
   const handleSceneError = (error) => {
     devError('Scene error:', error);
@@ -100,7 +112,7 @@ const App = ({ }) => {
           shadows
           dpr={1}
           gl={{ antialias: true }}
-          camera={{ fov: INITIAL_FOV, position: [0, 8, 5] }} // Use INITIAL_FOV directly
+          camera={{ fov: INITIAL_FOV, position: CAMERA_POSITION }} // Use INITIAL_FOV directly
           flat
         >
           <color attach="background" args={["#000000"]} />
@@ -110,26 +122,33 @@ const App = ({ }) => {
 /** CAMERA CONTROLS */
           {/* <OrbitControls /> */}
           {/* <CameraControls /> */}
-          <MouseCameraController lookAtRef={contactHeaderRef} />
+          <CameraDirector position={CAMERA_POSITION} target={HEADER_POSITION} fov={INITIAL_FOV} />
+          <MouseCameraController />
 
           <Env />
-          <ContactHeader
-            ref={contactHeaderRef}
-            position={[0, 7.8, -3]}
-            scale={1}
-            castShadow
-          />
+          {/* Pulls the camera back / widens the fov when the header doesn't fit, e.g. on portrait screens */}
+          <FitCameraToModel>
+            <ContactHeader
+              position={HEADER_POSITION}
+              scale={1}
+              castShadow
+            />
+          </FitCameraToModel>
+          <ContactForm position={[0, 6.4, -3]} />
 
 
           {isLoading ? (
             <Html center>
               <div style={{ color: 'white', fontSize: '18px' }}>
-                Loading projects from DOM...
+                {t("app.loadingProjects")}
               </div>
             </Html>
           ) : (
             <InnerScene
-              images={images}
+              images={visibleImages}
+              allImages={images}
+              activeCategory={activeCategory}
+              onCategoryChange={setCategory}
               ref={innerSceneRef}
             />
           )}
@@ -150,6 +169,9 @@ const App = ({ }) => {
 // Pass props down to Frames
 const InnerScene = ({
   images,
+  allImages,
+  activeCategory,
+  onCategoryChange,
 }) => {
   return (
     <group name="innerScene">
@@ -176,14 +198,18 @@ const InnerScene = ({
       />
 
       <group position={[0, -0.5, 0]}>
-        {/* Pass props to Frames */}
-        {/* <Frames
-          images={images}
-          setIsZoomed={setIsZoomed}
-          section2Position={section2Position}
-          section2LookAtTarget={section2LookAtTarget}
-          initialFov={initialFov} // Pass initialFov down
-        /> */}
+        {/* Frames animate in and out as projects are added to or removed from the page,
+            and suspend while their textures load so the rest of the scene doesn't wait */}
+        <Suspense fallback={null}>
+          <Frames images={images} />
+        </Suspense>
+        {/* Filtering from the scene updates the page's filter chips and project list too */}
+        <FrameFilters
+          images={allImages}
+          activeCategory={activeCategory}
+          onSelect={onCategoryChange}
+          position={[0, 1.6, -0.6]}
+        />
         <Terrain
           position={[1, -0.74, -3]}
           rotation={[-Math.PI / 2, 0, -Math.PI / 3]}
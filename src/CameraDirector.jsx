@@ -0,0 +1,54 @@
+import { useLayoutEffect, useRef } from 'react'
+import { useThree, useFrame } from '@react-three/fiber'
+import {
+    setCameraStage,
+    updateCameraDirector,
+    getActiveCameraController,
+} from './utils/cameraDirector'
+
+/**
+ * Applies the camera director's pose every frame (see utils/cameraDirector).
+ * Shots driven by the director are applied here directly; for parallax shots
+ * MouseCameraController moves the camera around the pose, so this component
+ * must be mounted before it to update the pose first.
+ * @param {number[]} position - Resting camera position
+ * @param {number[]} target - Resting look-at target
+ * @param {number} fov - Resting field of view
+ */
+export default function CameraDirector({ position, target, fov }) {
+    const camera = useThree((state) => state.camera)
+    const isInitialPoseSet = useRef(false)
+    // Compared by value, so inline arrays don't reset the stage on every render
+    const [px, py, pz] = position || []
+    const [tx, ty, tz] = target || []
+
+    useLayoutEffect(() => {
+        setCameraStage({
+            position: px === undefined ? null : [px, py, pz],
+            target: tx === undefined ? null : [tx, ty, tz],
+            fov,
+        })
+    }, [px, py, pz, tx, ty, tz, fov])
+
+    useFrame((state) => {
+        const pose = updateCameraDirector(camera, state.clock.elapsedTime)
+
+        if (!isInitialPoseSet.current) {
+            camera.position.copy(pose.position)
+            camera.lookAt(pose.target)
+            isInitialPoseSet.current = true
+        }
+
+        if (Math.abs(camera.fov - pose.fov) > 0.01) {
+            camera.fov = pose.fov
+            camera.updateProjectionMatrix()
+        }
+
+        if (getActiveCameraController() === 'director') {
+            camera.position.copy(pose.position)
+            camera.lookAt(pose.target)
+        }
+    })
+
+    return null
+}
@@ -0,0 +1,284 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Html } from "@react-three/drei";
+import {
+  CONTACT_FIELDS,
+  EMPTY_CONTACT,
+  getContactErrorKey,
+  validateContact,
+} from "./utils/contactForm";
+import { useContactQueue } from "./utils/useContactQueue";
+import {
+  HONEYPOT_FIELD,
+  checkSubmission,
+  createSpamToken,
+  recordSubmission,
+} from "./utils/spamProtection";
+import { emitContactFormEvent } from "./utils/contactFormEvents";
+import { useLocale } from "./utils/useLocale";
+import { devError } from "./utils/devLog";
+
+const styles = {
+  form: {
+    width: "min(420px, 86vw)",
+    padding: "24px",
+    borderRadius: "12px",
+    background: "rgba(0, 0, 0, 0.55)",
+    backdropFilter: "blur(8px)",
+    border: "1px solid rgba(255, 255, 255, 0.15)",
+    color: "white",
+    fontFamily: "system-ui, -apple-system, sans-serif",
+    userSelect: "text",
+  },
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    marginBottom: "14px",
+  },
+  label: {
+    fontSize: "13px",
+    marginBottom: "6px",
+    opacity: 0.8,
+  },
+  input: {
+    padding: "10px 12px",
+    borderRadius: "6px",
+    border: "1px solid rgba(255, 255, 255, 0.25)",
+    background: "rgba(255, 255, 255, 0.08)",
+    color: "white",
+    fontSize: "15px",
+    fontFamily: "inherit",
+    outline: "none",
+  },
+  inputInvalid: {
+    borderColor: "#ff6b6b",
+  },
+  error: {
+    color: "#ff6b6b",
+    fontSize: "12px",
+    marginTop: "4px",
+  },
+  button: {
+    width: "100%",
+    padding: "12px 16px",
+    borderRadius: "6px",
+    border: "none",
+    background: "#f0ff6c",
+    color: "black",
+    fontSize: "15px",
+    fontWeight: 600,
+    cursor: "pointer",
+  },
+  status: {
+    marginTop: "12px",
+    fontSize: "14px",
+    textAlign: "center",
+  },
+  // Off-screen rather than display:none, which some bots detect
+  honeypot: {
+    position: "absolute",
+    left: "-10000px",
+    width: "1px",
+    height: "1px",
+    overflow: "hidden",
+  },
+  queue: {
+    marginTop: "8px",
+    fontSize: "12px",
+    textAlign: "center",
+    opacity: 0.7,
+  },
+};
+
+const SPAM_MESSAGE_KEYS = {
+  "too-fast": "contact.spam.tooFast",
+  "rate-limited": "contact.spam.rateLimited",
+};
+
+// Statuses with a message in the live region
+const STATUS_MESSAGE_KEYS = {
+  verifying: "contact.status.verifying",
+  queued: "contact.status.queued",
+  sending: "contact.status.sending",
+  sent: "contact.status.sent",
+};
+
+/**
+ * Contact form rendered inside the Canvas through drei's Html, anchored
+ * below the ContactHeader. Submissions go through the offline-safe contact
+ * queue, so the form shows them as "queued" until they have been sent.
+ * @param {Object} props - Group props (position etc.)
+ * @param {string} [props.endpoint] - Overrides the configured endpoint
+ * @param {Function} [props.onSubmitted] - Called with the queue entry once it has been sent
+ */
+export function ContactForm({ endpoint, onSubmitted, ...props }) {
+  const [values, setValues] = useState(EMPTY_CONTACT);
+  const [touched, setTouched] = useState({});
+  // Locale key, translated at render so it follows a locale switch
+  const [submitErrorKey, setSubmitErrorKey] = useState(null);
+  const [entryId, setEntryId] = useState(null);
+  const [honeypot, setHoneypot] = useState("");
+  const [isVerifying, setIsVerifying] = useState(false);
+  // Reset after every submission; used for the minimum fill-time check
+  const startedAtRef = useRef(Date.now());
+  const { entries, enqueue } = useContactQueue();
+  const { t } = useLocale();
+
+  const errors = validateContact(values);
+  const entry = entries.find((item) => item.id === entryId);
+  // idle | verifying | queued | sending | sent | failed
+  const status = isVerifying ? "verifying" : entry?.status || "idle";
+  // Earlier submissions (e.g. from a previous visit) still waiting to be sent
+  const waiting = entries.filter((item) => item.id !== entryId && item.status === "queued").length;
+
+  const onSubmittedRef = useRef(onSubmitted);
+  onSubmittedRef.current = onSubmitted;
+
+  // Entries are replaced on every status change, so this fires once per send
+  useEffect(() => {
+    if (entry?.status === "sent") {
+      emitContactFormEvent("success", { source: "scene" });
+      onSubmittedRef.current?.(entry);
+    } else if (entry?.status === "failed") {
+      emitContactFormEvent("error", { source: "scene" });
+    }
+  }, [entry]);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+    emitContactFormEvent("input", { field: name, source: "scene" });
+    if (status === "sent" || status === "failed") {
+      setEntryId(null);
+    }
+  };
+
+  const handleBlur = (event) => {
+    const { name } = event.target;
+    setTouched((prev) => ({ ...prev, [name]: true }));
+  };
+
+  const handleFormFocus = (event) => {
+    emitContactFormEvent("focus", { field: event.target.name, source: "scene" });
+  };
+
+  const handleFormBlur = (event) => {
+    // Moving between fields shouldn't count as leaving the form
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      emitContactFormEvent("blur", { field: event.target.name, source: "scene" });
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    // Show every error once the user tries to submit
+    setTouched(Object.fromEntries(CONTACT_FIELDS.map((field) => [field.name, true])));
+    if (Object.keys(errors).length > 0 || status === "sending" || status === "verifying") return;
+
+    setSubmitErrorKey(null);
+    const check = checkSubmission({ startedAt: startedAtRef.current });
+    if (!check.ok) {
+      setSubmitErrorKey(SPAM_MESSAGE_KEYS[check.reason]);
+      return;
+    }
+
+    setIsVerifying(true);
+    emitContactFormEvent("submit", { source: "scene" });
+    try {
+      const spam = createSpamToken({ honeypot, startedAt: startedAtRef.current });
+      // The entry is persisted before sending, so the form can be cleared right away
+      const queued = await enqueue({ ...values, spam }, { endpoint });
+      recordSubmission();
+      setEntryId(queued.id);
+      setValues(EMPTY_CONTACT);
+      setHoneypot("");
+      setTouched({});
+      startedAtRef.current = Date.now();
+    } catch (error) {
+      devError("Contact form submission failed:", error);
+      setSubmitErrorKey("contact.status.failed");
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <group {...props}>
+      <Html center zIndexRange={[10, 0]}>
+        <form
+          style={styles.form}
+          onSubmit={handleSubmit}
+          onFocus={handleFormFocus}
+          onBlur={handleFormBlur}
+          noValidate
+        >
+          <div style={styles.honeypot} aria-hidden="true">
+            <label htmlFor={`contact-${HONEYPOT_FIELD}`}>{t("contact.honeypot")}</label>
+            <input
+              id={`contact-${HONEYPOT_FIELD}`}
+              name={HONEYPOT_FIELD}
+              type="text"
+              tabIndex={-1}
+              autoComplete="off"
+              value={honeypot}
+              onChange={(event) => setHoneypot(event.target.value)}
+            />
+          </div>
+          {CONTACT_FIELDS.map((field) => {
+            const id = `contact-${field.name}`;
+            const error = touched[field.name] ? errors[field.name] : null;
+            const inputProps = {
+              id,
+              name: field.name,
+              value: values[field.name],
+              onChange: handleChange,
+              onBlur: handleBlur,
+              autoComplete: field.autoComplete,
+              required: field.required,
+              "aria-invalid": !!error,
+              "aria-describedby": error ? `${id}-error` : undefined,
+              style: { ...styles.input, ...(error ? styles.inputInvalid : null) },
+            };
+
+            return (
+              <div key={field.name} style={styles.field}>
+                <label htmlFor={id} style={styles.label}>
+                  {t(field.labelKey)}{field.required ? " *" : ""}
+                </label>
+                {field.type === "textarea" ? (
+                  <textarea rows={4} {...inputProps} style={{ ...inputProps.style, resize: "vertical" }} />
+                ) : (
+                  <input type={field.type} {...inputProps} />
+                )}
+                {error && (
+                  <span id={`${id}-error`} role="alert" style={styles.error}>
+                    {error}
+                  </span>
+                )}
+              </div>
+            );
+          })}
+          <button
+            type="submit"
+            disabled={status === "sending" || status === "verifying"}
+            style={{ ...styles.button, opacity: status === "sending" || status === "verifying" ? 0.6 : 1 }}
+          >
+            {status === "verifying" || status === "sending" ? t(STATUS_MESSAGE_KEYS[status]) : t("contact.submit")}
+          </button>
+          <div aria-live="polite" style={styles.status}>
+            {STATUS_MESSAGE_KEYS[status] && t(STATUS_MESSAGE_KEYS[status])}
+            {(status === "failed" || submitErrorKey) && (
+              <span style={{ color: "#ff6b6b" }}>
+                {t(submitErrorKey || getContactErrorKey({ status: entry?.lastStatus, reason: entry?.lastReason }))}
+              </span>
+            )}
+          </div>
+          {waiting > 0 && (
+            <div style={styles.queue}>
+              {t("contact.waiting", { count: waiting })}
+            </div>
+          )}
+        </form>
+      </Html>
+    </group>
+  );
+}
@@ -4,20 +4,111 @@ Command: npx gltfjsx@6.5.3 ./public/models/Font-Projekte.glb --transform
 Files: ./public/models/Font-Projekte.glb [1.46MB] > /Users/slim-cd/Documents/_Projects/__Creative Directors Website/website 2025/Projects_page/Font-Projekte-transformed.glb [105.52KB] (93%)
 */
 
-import React, { useEffect } from 'react'
+import React, { useEffect, useLayoutEffect, useMemo } from 'react'
 import { useFrame } from '@react-three/fiber'
 import { useHelper } from '@react-three/drei'
 import * as THREE from 'three'
 import { Color } from 'three'
 import { useModelLoader, preloadModel } from './utils/ModelLoader'
-import { Html, Center } from '@react-three/drei'
+import { Html, Center, Text3D, useFont } from '@react-three/drei'
+import { gsap } from 'gsap'
+import { useContactFormEvents } from './utils/useContactFormEvents'
+import { useHeadingText, HEADING_SELECTOR } from './utils/useHeadingText'
+import { getRootSetting } from './utils/projectSources'
+import { useLocale } from './utils/useLocale'
+import { t as translate } from './utils/i18n'
+import { introTimeline, introProgress, getLetterProgress } from './utils/introTimeline'
+import { useGlyphPhysics } from './utils/useGlyphPhysics'
+import { headerBevelMaterial, headerWhiteMaterial } from './materials/headerMaterials'
+import defaultHeaderFont from 'three/examples/fonts/helvetiker_bold.typeface.json'
 
 // Define model URLs
 const localModelUrl = "/models/contact_header-transformed.glb";
 const remoteModelUrl = "https://files.creative-directors.com/creative-website/creative25/glbs/Font-Projekte-transformed.glb";
 
-export const ContactHeader = React.forwardRef(({ onLoad, ...props }, ref) => {
+// Replace characters the font has no glyph for (e.g. umlauts in the bundled
+// font) with their base letter, so TextGeometry doesn't drop them
+const toSupportedText = (text, font) => {
+  if (!font?.glyphs) return text;
+  return Array.from(text).map((char) => {
+    if (font.glyphs[char] || char === ' ' || char === '\n') return char;
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return font.glyphs[base] ? base : '';
+  }).join('');
+};
+
+// Glyph size and spacing of the runtime header
+const TEXT_SIZE = 0.62;
+const LETTER_SPACING = 0.02;
+
+// Where each glyph starts its intro flight, relative to its resting place
+const LETTER_FLIGHT = { y: 1.6, z: 2.4, tilt: Math.PI / 2, twist: 0.6 };
+const letterEase = gsap.parseEase('back.out(1.6)');
+
+// Lay the label out glyph by glyph using the font's advance widths, matching
+// Font.generateShapes so the word looks the same as a single Text3D
+const layoutGlyphs = (label, font) => {
+  const scale = TEXT_SIZE / font.data.resolution;
+  const glyphs = [];
+  let x = 0;
+  Array.from(label).forEach((char, index) => {
+    const glyph = font.data.glyphs[char];
+    if (!glyph) return;
+    if (char.trim()) glyphs.push({ char, x, key: `${index}-${char}` });
+    x += glyph.ha * scale + LETTER_SPACING;
+  });
+  return glyphs;
+};
+
+/**
+ * Header text generated at runtime from a typeface font: a copper bevel layer
+ * behind white letter faces, mirroring the two meshes of the baked GLB. Each
+ * glyph is its own group so it can be animated on its own: the outer one by
+ * the intro, the inner one by the pointer physics.
+ */
+function RuntimeHeaderText({ text, font, lettersRef, glyphsRef, onLoad }) {
+  const loadedFont = useFont(font);
+  const label = toSupportedText(text, loadedFont.data);
+  const glyphs = useMemo(() => layoutGlyphs(label, loadedFont), [label, loadedFont]);
+
+  useLayoutEffect(() => {
+    lettersRef.current.length = glyphs.length;
+    glyphsRef.current.length = glyphs.length;
+  }, [glyphs, lettersRef, glyphsRef]);
+
+  // Also re-run when the text changes, so the new word is measured again
+  useEffect(() => {
+    onLoad?.();
+  }, [onLoad, label]);
+
+  const shared = { font: loadedFont, size: TEXT_SIZE, curveSegments: 10, bevelEnabled: true, bevelSegments: 3 };
+
+  return (
+    <Center cacheKey={label}>
+      {glyphs.map((glyph, index) => (
+        <group key={glyph.key} position={[glyph.x, 0, 0]}>
+          <group ref={(object) => { lettersRef.current[index] = object; }}>
+            <group ref={(object) => { glyphsRef.current[index] = object; }}>
+              <Text3D {...shared} height={0.3} bevelSize={0.035} bevelThickness={0.04} material={headerBevelMaterial} position={[0, 0, -0.12]}>
+                {glyph.char}
+              </Text3D>
+              <Text3D {...shared} height={0.22} bevelSize={0.01} bevelThickness={0.02} material={headerWhiteMaterial}>
+                {glyph.char}
+              </Text3D>
+            </group>
+          </group>
+        </group>
+      ))}
+    </Center>
+  );
+}
+
+// Baked header exported from Blender; only loaded when there is no text to
+// generate. The word is a single mesh, so it flies in and reacts to the
+// pointer as one glyph.
+function GlbHeaderText({ lettersRef, glyphsRef, onLoad }) {
   const { nodes, materials, loading } = useModelLoader(localModelUrl, remoteModelUrl);
+  const { t } = useLocale();
 
   useEffect(() => {
     if (!loading && onLoad) {
@@ -25,16 +116,94 @@ export const ContactHeader = React.forwardRef(({ onLoad, ...props }, ref) => {
     }
   }, [loading, onLoad]);
 
+  useLayoutEffect(() => {
+    lettersRef.current.length = 1;
+    glyphsRef.current.length = 1;
+  }, [lettersRef, glyphsRef]);
+
+  if (loading) return <Html center>{t('header.loading')}</Html>;
+
+  return (
+    <Center>
+      <group ref={(object) => { lettersRef.current[0] = object; }}>
+        <group ref={(object) => { glyphsRef.current[0] = object; }}>
+          {/* <mesh geometry={nodes.Text_projekte.geometry} material={materials.White} position={[0, -0.021, 0]} />
+          <mesh geometry={nodes.Bevel.geometry} material={materials['Material.001']} position={[0, -0.142, 0]} /> */}
+          <mesh geometry={nodes.Bevel.geometry} material={materials['Material.001']} position={[4.458, 0.034, -0.398]} rotation={[Math.PI / 2, 0, 0]} />
+          <mesh geometry={nodes.Text_projekte.geometry} material={materials.White} position={[4.458, 0.034, -0.278]} rotation={[Math.PI / 2, 0, 0]} />
+        </group>
+      </group>
+    </Center>
+  );
+}
+
+/**
+ * Contact page header with its moving light rig. The text comes from the
+ * `text` prop, else from the DOM heading marked data-three="heading", else
+ * from the locale's `header.text`; with none of these, the baked GLB header
+ * is shown. The letters fly in with the scene intro (see introTimeline),
+ * which starts once the header has loaded, and then react to the pointer.
+ * @param {string} [text] - Header text
+ * @param {string|Object} [font] - Typeface JSON (URL or data); defaults to
+ *   data-three-header-font on the scene root, then the bundled Helvetiker Bold
+ * @param {string} [headingSelector] - Selector of the DOM heading to mirror
+ * @param {boolean} [interactive=true] - Let the glyphs react to the pointer
+ */
+export const ContactHeader = React.forwardRef(({ onLoad, text, font, headingSelector = HEADING_SELECTOR, interactive = true, ...props }, ref) => {
+  const domText = useHeadingText(headingSelector, !text);
+  const { t } = useLocale();
+  const headerText = text || domText || t('header.text');
+  const headerFont = font || getRootSetting('header-font') || defaultHeaderFont;
+
 
   const pointLightRef = React.useRef();
   const directionalLightRef = React.useRef();
   const targetRef = React.useRef();
+  const celebrateRef = React.useRef();
+  const lettersRef = React.useRef([]);
+  const lettersAtRest = React.useRef(false);
+  const glyphsRef = React.useRef([]);
+
+  useGlyphPhysics(glyphsRef, { enabled: interactive });
+
+  const handleLoad = React.useCallback(() => {
+    introTimeline.play();
+    onLoad?.();
+  }, [onLoad]);
+
+  // Spin, bounce and flash the light when a contact form was sent
+  useContactFormEvents({
+    success: () => {
+      if (!celebrateRef.current || !pointLightRef.current) return;
+      gsap.timeline()
+        .to(celebrateRef.current.rotation, { y: `+=${Math.PI * 2}`, duration: 1.4, ease: "power3.inOut" }, 0)
+        .to(celebrateRef.current.scale, { x: 1.15, y: 1.15, z: 1.15, duration: 0.35, ease: "power2.out" }, 0)
+        .to(celebrateRef.current.scale, { x: 1, y: 1, z: 1, duration: 0.9, ease: "elastic.out(1, 0.4)" }, 0.35)
+        .to(pointLightRef.current, { intensity: 40, duration: 0.25, yoyo: true, repeat: 1 }, 0);
+    },
+  });
 
   // Enable both helpers to visualize the light and target
   // useHelper(directionalLightRef, THREE.DirectionalLightHelper, 1, new Color(0xff0000));
   // useHelper(targetRef, THREE.AxesHelper, 1);
 
   useFrame(() => {
+    // Intro flight of the letters; left alone once they have landed
+    const lettersProgress = introProgress.letters;
+    if (lettersProgress < 1 || !lettersAtRest.current) {
+      const letters = lettersRef.current;
+      letters.forEach((letter, index) => {
+        if (!letter) return;
+        const progress = letterEase(getLetterProgress(lettersProgress, index, letters.length));
+        const remaining = 1 - progress;
+        const side = index % 2 === 0 ? -1 : 1;
+        letter.position.set(0, remaining * LETTER_FLIGHT.y, remaining * LETTER_FLIGHT.z);
+        letter.rotation.set(-remaining * LETTER_FLIGHT.tilt, side * remaining * LETTER_FLIGHT.twist, 0);
+        letter.scale.setScalar(Math.max(0.001, progress));
+      });
+      lettersAtRest.current = lettersProgress >= 1;
+    }
+
     if (pointLightRef.current) {
       const time = Date.now() * 0.001;
       const noiseX = Math.sin(time * 0.7) * 0.5 + Math.sin(time * 1.3) * 0.3;
@@ -52,8 +221,6 @@ export const ContactHeader = React.forwardRef(({ onLoad, ...props }, ref) => {
     }
   });
 
-  if (loading) return <group {...props}><Html center>Loading...</Html></group>;
-
   return (
     <group {...props} ref={ref} dispose={null}>
       <pointLight
@@ -68,18 +235,20 @@ export const ContactHeader = React.forwardRef(({ onLoad, ...props }, ref) => {
         ref={directionalLightRef}
       />
       <object3D ref={targetRef} position={[0, 0, 0]} />
-      <Center>
-        {/* <mesh geometry={nodes.Text_projekte.geometry} material={materials.White} position={[0, -0.021, 0]} />
-        <mesh geometry={nodes.Bevel.geometry} material={materials['Material.001']} position={[0, -0.142, 0]} /> */}
-        <mesh geometry={nodes.Bevel.geometry} material={materials['Material.001']} position={[4.458, 0.034, -0.398]} rotation={[Math.PI / 2, 0, 0]} />
-        <mesh geometry={nodes.Text_projekte.geometry} material={materials.White} position={[4.458, 0.034, -0.278]} rotation={[Math.PI / 2, 0, 0]} />
-
-      </Center>
+      <group ref={celebrateRef}>
+        {headerText ? (
+          <RuntimeHeaderText text={headerText} font={headerFont} lettersRef={lettersRef} glyphsRef={glyphsRef} onLoad={handleLoad} />
+        ) : (
+          <GlbHeaderText lettersRef={lettersRef} glyphsRef={glyphsRef} onLoad={handleLoad} />
+        )}
+      </group>
     </group>
   )
 });
 ContactHeader.displayName = "ContactHeader";
 
 
-// Preload the model
-preloadModel(localModelUrl, remoteModelUrl);
+// Preload the model unless the page or the locale provides text to generate the header from
+if (!document.querySelector(HEADING_SELECTOR) && !translate('header.text')) {
+  preloadModel(localModelUrl, remoteModelUrl);
+}
@@ -1,5 +1,5 @@
-import { useTexture } from "@react-three/drei";
 import { EquirectangularReflectionMapping, SRGBColorSpace } from "three";
+import { useManagedTexture } from "./utils/useManagedTexture";
 
 const isDevelopment = import.meta.env.DEV;
 const backgroundTextureLocalUrl = "/sci-fi-nebula-space-planet_4K.jpg";
@@ -11,10 +11,10 @@ const backgroundTextureUrl = isDevelopment ? backgroundTextureLocalUrl : backgro
 
 export default function Env() {
 
-    const backgroundTexture = useTexture(backgroundTextureUrl);
-
-    backgroundTexture.mapping = EquirectangularReflectionMapping;
-    backgroundTexture.colorSpace = SRGBColorSpace;
+    const backgroundTexture = useManagedTexture(backgroundTextureUrl, {
+        mapping: EquirectangularReflectionMapping,
+        colorSpace: SRGBColorSpace,
+    });
 
 
     return (
@@ -0,0 +1,78 @@
+import React, { useCallback, useEffect, useRef } from 'react'
+import { useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { computeViewportFit } from './utils/viewportFit'
+import { getCameraStage, setCameraStage } from './utils/cameraDirector'
+import { introTimeline } from './utils/introTimeline'
+import { devLog } from './utils/devLog'
+
+/**
+ * Keeps an asynchronously loaded model framed (see
+ * docs/DYNAMIC_MODEL_FITTING_GUIDE.md). Wraps a single model component that
+ * forwards a ref and calls onLoad once loaded, measures it then and on every
+ * resize, and moves the camera director's stage back and widens its fov as
+ * far as needed to fit the model inside the margins. The stage keeps its
+ * configured target, so wide screens keep the configured framing exactly;
+ * only views too narrow for it are adjusted. Only the wrapped model is
+ * fitted: it should be what the resting view shows (the header), while
+ * content further down, like the frames, is framed by the scroll camera path.
+ * @param {Object} [margin={ x: 0.06, y: 0.1 }] - Share of the viewport kept free on each side
+ * @param {number} [maxDistanceScale=1.6] - How far back the camera may move, relative to its resting distance, before the fov widens
+ * @param {number} [maxFov=75] - Widest fov in degrees
+ */
+export default function FitCameraToModel({ children, margin, maxDistanceScale = 1.6, maxFov = 75 }) {
+    const ref = useRef()
+    const boxRef = useRef(null)
+    // Stage as configured before any fitting; every fit starts from it
+    const restRef = useRef(null)
+    const aspect = useThree((state) => state.size.width / Math.max(1, state.size.height))
+    const marginX = margin?.x ?? 0.06
+    const marginY = margin?.y ?? 0.1
+    const { onLoad } = children.props
+
+    const measure = useCallback(() => {
+        if (!ref.current) return
+        // The intro animates the header's glyphs; keep the last resting measurement meanwhile
+        if (boxRef.current && introTimeline.getStatus() === 'playing') return
+        const box = new THREE.Box3().setFromObject(ref.current, true)
+        if (!box.isEmpty()) boxRef.current = box
+    }, [])
+
+    const fit = useCallback(() => {
+        if (!boxRef.current) return
+        if (!restRef.current) {
+            const stage = getCameraStage()
+            restRef.current = { position: stage.position.clone(), target: stage.target.clone(), fov: stage.fov }
+        }
+
+        const rest = restRef.current
+        const restDistance = rest.position.distanceTo(rest.target)
+        const result = computeViewportFit({
+            box: boxRef.current,
+            target: rest.target,
+            direction: rest.position.clone().sub(rest.target).normalize(),
+            aspect,
+            fov: rest.fov,
+            margin: { x: marginX, y: marginY },
+            minDistance: restDistance,
+            maxDistance: restDistance * maxDistanceScale,
+            maxFov,
+        })
+        devLog(`Camera fit: distance ${result.distance.toFixed(2)}, fov ${result.fov.toFixed(1)}`)
+        setCameraStage(result)
+    }, [aspect, marginX, marginY, maxDistanceScale, maxFov])
+
+    const handleLoad = useCallback(() => {
+        measure()
+        fit()
+        onLoad?.()
+    }, [measure, fit, onLoad])
+
+    // Refit on resize
+    useEffect(() => {
+        measure()
+        fit()
+    }, [measure, fit])
+
+    return React.cloneElement(children, { ref, onLoad: handleLoad })
+}
@@ -0,0 +1,207 @@
+import * as THREE from "three";
+import { useLayoutEffect, useMemo, useRef, useSyncExternalStore } from "react";
+import { useFrame } from "@react-three/fiber";
+
+const GOLDENRATIO = 1;
+// Rings per frame, as returned by getUniquePortalConfigs
+const RING_LEVELS = 3;
+const GLOW_COLOR = "#fff8b0";
+
+// Decoration transforms relative to each frame's anchor (its circle mesh)
+const RING_MATRIX = new THREE.Matrix4().compose(
+  new THREE.Vector3(0, 0, 0.35),
+  new THREE.Quaternion(),
+  new THREE.Vector3(1, GOLDENRATIO, 1)
+);
+const GLOW_MATRIX = new THREE.Matrix4().compose(
+  new THREE.Vector3(0, 0, 0.65),
+  new THREE.Quaternion(),
+  new THREE.Vector3(0.7, 0.7 * GOLDENRATIO, 1)
+);
+
+const _matrix = new THREE.Matrix4();
+const _anchor = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _point = new THREE.Vector3();
+
+// Animated rainbow gradient of the portal rings. The torus is rebuilt from
+// each instance's radius and tube, so one geometry serves every ring size.
+const ringShader = {
+  vertexShader: `
+    attribute vec2 aShape;
+    attribute vec2 aMotion;
+    attribute float aOpacity;
+    varying vec3 vPos;
+    varying vec2 vMotion;
+    varying float vOpacity;
+    void main() {
+      float u = uv.x * 6.28318530718;
+      float v = uv.y * 6.28318530718;
+      float ring = aShape.x + aShape.y * cos(v);
+      vPos = vec3(ring * cos(u), ring * sin(u), aShape.y * sin(v));
+      vMotion = aMotion;
+      vOpacity = aOpacity;
+      gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(vPos, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform float time;
+    varying vec3 vPos;
+    varying vec2 vMotion;
+    varying float vOpacity;
+    // HSV to RGB conversion
+    vec3 hsv2rgb(vec3 c) {
+      vec4 K = vec4(1.0, 2.0/3.0, 1.0/3.0, 3.0);
+      vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+      return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+    }
+    void main() {
+      float angle = atan(vPos.y, vPos.x) + time * vMotion.x + vMotion.y;
+      float t = mod(angle / (2.0 * 3.14159), 1.0);
+      vec3 color = hsv2rgb(vec3(t, 1.0, 1.0));
+      gl_FragColor = vec4(color, vOpacity);
+    }
+  `,
+};
+
+// Room for a few more frames before the buffers have to be rebuilt
+const capacityFor = (count) => Math.max(8, Math.ceil(count / 8) * 8);
+
+function DecorationBatch({ frames, capacity, particlesPerFrame }) {
+  const root = useRef();
+  const rings = useRef();
+  const glows = useRef();
+  const particles = useRef();
+  const ringMaterial = useMemo(() => ({ ...ringShader, uniforms: { time: { value: 0 } } }), []);
+
+  const ringAttributes = useMemo(() => ({
+    shape: new Float32Array(capacity * RING_LEVELS * 2),
+    motion: new Float32Array(capacity * RING_LEVELS * 2),
+    opacity: new Float32Array(capacity * RING_LEVELS),
+  }), [capacity]);
+  const particlePositions = useMemo(
+    () => new Float32Array(capacity * particlesPerFrame * 3),
+    [capacity, particlesPerFrame]
+  );
+
+  // Per-instance ring shape and motion from each frame's portal configs
+  useLayoutEffect(() => {
+    const { shape, motion, opacity } = ringAttributes;
+    const color = new THREE.Color();
+    frames.forEach(({ portalConfigs, color: glowColor }, i) => {
+      portalConfigs.slice(0, RING_LEVELS).forEach((config, level) => {
+        const index = i * RING_LEVELS + level;
+        shape.set([config.radius, config.tube], index * 2);
+        motion.set([config.speed, config.phase], index * 2);
+        opacity[index] = config.opacity;
+      });
+      glows.current.setColorAt(i, color.set(glowColor || GLOW_COLOR));
+    });
+
+    const geometry = rings.current.geometry;
+    ["aShape", "aMotion", "aOpacity"].forEach((name) => {
+      geometry.attributes[name].needsUpdate = true;
+    });
+    if (glows.current.instanceColor) glows.current.instanceColor.needsUpdate = true;
+    rings.current.count = frames.length * RING_LEVELS;
+    glows.current.count = frames.length;
+    particles.current.geometry.setDrawRange(0, frames.length * particlesPerFrame);
+  }, [frames, ringAttributes, particlesPerFrame]);
+
+  useFrame((state) => {
+    rings.current.material.uniforms.time.value = state.clock.elapsedTime * 0.2;
+
+    // Anchors are placed relative to the batch, wherever it sits in the scene
+    root.current.updateWorldMatrix(true, false);
+    _inverse.copy(root.current.matrixWorld).invert();
+
+    frames.forEach(({ anchor, particles: source, particleCount }, i) => {
+      anchor.updateWorldMatrix(true, false);
+      _anchor.multiplyMatrices(_inverse, anchor.matrixWorld);
+      for (let level = 0; level < RING_LEVELS; level++) {
+        rings.current.setMatrixAt(i * RING_LEVELS + level, _matrix.multiplyMatrices(_anchor, RING_MATRIX));
+      }
+      glows.current.setMatrixAt(i, _matrix.multiplyMatrices(_anchor, GLOW_MATRIX));
+
+      // Particles are simulated in each frame's own space
+      const offset = i * particlesPerFrame * 3;
+      const count = Math.min(particleCount, particlesPerFrame);
+      for (let p = 0; p < count; p++) {
+        _point.fromArray(source, p * 3).applyMatrix4(_anchor);
+        _point.toArray(particlePositions, offset + p * 3);
+      }
+    });
+
+    rings.current.instanceMatrix.needsUpdate = true;
+    glows.current.instanceMatrix.needsUpdate = true;
+    particles.current.geometry.attributes.position.needsUpdate = true;
+  });
+
+  return (
+    <group ref={root}>
+      <instancedMesh ref={rings} args={[undefined, undefined, capacity * RING_LEVELS]} frustumCulled={false} raycast={() => null}>
+        <torusGeometry args={[1, 1, 64, 128]}>
+          <instancedBufferAttribute attach="attributes-aShape" args={[ringAttributes.shape, 2]} />
+          <instancedBufferAttribute attach="attributes-aMotion" args={[ringAttributes.motion, 2]} />
+          <instancedBufferAttribute attach="attributes-aOpacity" args={[ringAttributes.opacity, 1]} />
+        </torusGeometry>
+        <shaderMaterial
+          args={[ringMaterial]}
+          transparent
+          side={THREE.DoubleSide}
+          depthWrite={false}
+          blending={THREE.AdditiveBlending}
+        />
+      </instancedMesh>
+      {/* Subtle glow behind each image */}
+      <instancedMesh ref={glows} args={[undefined, undefined, capacity]} frustumCulled={false} raycast={() => null}>
+        <ringGeometry args={[0.28, 0.36, 64]} />
+        <meshBasicMaterial opacity={0.10} transparent blending={THREE.AdditiveBlending} />
+      </instancedMesh>
+      {/* Energy particles */}
+      <points ref={particles} frustumCulled={false} raycast={() => null}>
+        <bufferGeometry>
+          <bufferAttribute
+            attach="attributes-position"
+            count={capacity * particlesPerFrame}
+            array={particlePositions}
+            itemSize={3}
+          />
+        </bufferGeometry>
+        <pointsMaterial
+          color="#ffffff"
+          size={0.01}
+          transparent
+          opacity={0.9}
+          sizeAttenuation
+          blending={THREE.AdditiveBlending}
+          depthWrite={false}
+        />
+      </points>
+    </group>
+  );
+}
+
+/**
+ * Portal rings, glow rings and energy particles of all frames, batched into
+ * two instanced meshes and one points cloud instead of several draw calls per
+ * frame. Frames register themselves in the registry (see
+ * utils/decorationRegistry.js); each ring keeps the shape and motion its frame's
+ * portal configs give it.
+ * @param {Object} registry - Registry from createDecorationRegistry
+ * @param {number} [particlesPerFrame=50] - Particles drawn per frame
+ */
+export default function FrameDecorations({ registry, particlesPerFrame = 50 }) {
+  const frames = useSyncExternalStore(registry.subscribe, registry.getSnapshot);
+  const capacity = capacityFor(frames.length);
+
+  // Remounted with new buffers whenever the capacity grows
+  return (
+    <DecorationBatch
+      key={capacity}
+      frames={frames}
+      capacity={capacity}
+      particlesPerFrame={particlesPerFrame}
+    />
+  );
+}
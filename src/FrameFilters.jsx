@@ -0,0 +1,76 @@
+import { Html } from "@react-three/drei";
+import { matchesCategory } from "./utils/categoryFilter";
+import { useLocale } from "./utils/useLocale";
+
+const styles = {
+  bar: {
+    display: "flex",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    gap: "6px",
+    width: "max-content",
+    maxWidth: "60vw",
+  },
+  chip: {
+    padding: "4px 12px",
+    borderRadius: "999px",
+    border: "1px solid rgba(255, 255, 255, 0.35)",
+    background: "rgba(0, 0, 0, 0.45)",
+    color: "white",
+    fontFamily: "system-ui, -apple-system, sans-serif",
+    fontSize: "12px",
+    cursor: "pointer",
+  },
+  activeChip: {
+    borderColor: "#fff8b0",
+    background: "#fff8b0",
+    color: "black",
+  },
+};
+
+// Categories of all projects, in the order they first appear
+const collectCategories = (images) => {
+  const categories = new Map();
+  images.forEach((image) => {
+    (image.metadata?.categories || []).forEach((category) => {
+      const key = category.trim().toLowerCase();
+      if (key && !categories.has(key)) categories.set(key, category.trim());
+    });
+  });
+  return Array.from(categories.values());
+};
+
+/**
+ * Category chips in the scene, the counterpart of the host page's filter
+ * chips: both set the shared category filter (see utils/categoryFilter.js),
+ * so picking one here also updates the page's chips and project list.
+ * @param {Array} images - All projects, so every category stays listed while filtered
+ * @param {string|null} activeCategory - Current filter, null for all
+ * @param {Function} onSelect - Called with a category, or null for all
+ */
+export default function FrameFilters({ images, activeCategory, onSelect, ...props }) {
+  const { t } = useLocale();
+  const categories = collectCategories(images);
+  if (categories.length < 2) return null;
+
+  return (
+    <Html center zIndexRange={[10, 0]} {...props}>
+      <div role="group" aria-label={t("frames.filter.label")} style={styles.bar}>
+        {[null, ...categories].map((category) => {
+          const active = category ? !!activeCategory && matchesCategory([category], activeCategory) : !activeCategory;
+          return (
+            <button
+              key={category || "all"}
+              type="button"
+              aria-pressed={active}
+              style={active ? { ...styles.chip, ...styles.activeChip } : styles.chip}
+              onClick={() => onSelect(category)}
+            >
+              {category || t("frames.filter.all")}
+            </button>
+          );
+        })}
+      </div>
+    </Html>
+  );
+}
@@ -0,0 +1,117 @@
+import { useEffect, useRef, useState } from "react";
+import { Html } from "@react-three/drei";
+import getUuid from "uuid-by-string";
+import { useLocale } from "./utils/useLocale";
+
+// Readable by screen readers and reachable with Tab, but not drawn: the frames
+// themselves show focus through their 3D focus ring
+const visuallyHidden = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  padding: 0,
+  margin: "-1px",
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+// Arrow keys move relative to the focused frame, Home/End jump to the ends
+const NAVIGATION_KEYS = {
+  ArrowRight: (index) => index + 1,
+  ArrowDown: (index) => index + 1,
+  ArrowLeft: (index) => index - 1,
+  ArrowUp: (index) => index - 1,
+  Home: () => 0,
+  End: (index, count) => count - 1,
+};
+
+const getFrameLabel = (image) =>
+  image.name?.split("-").join(" ") || image.slug || "";
+
+/**
+ * Keyboard access to the gallery: one off-screen button per frame, in frame
+ * order, so Tab and Shift+Tab move between frames and Enter/Space opens one.
+ * Arrow keys, Home and End move focus within the gallery, Escape zooms out.
+ * A polite live region announces the focused and opened project.
+ * @param {Array} images - Frames that can be focused (without exiting ones)
+ * @param {string|null} selectedFrameId - Name of the zoomed-in frame
+ * @param {Function} onFocusFrame - Called with the focused frame's slug, or null when focus leaves the gallery
+ * @param {Function} onSelect - Called with the image to open
+ * @param {Function} onEscape - Called when Escape is pressed inside the gallery
+ */
+export default function FrameNavigation({ images, selectedFrameId, onFocusFrame, onSelect, onEscape }) {
+  const { t } = useLocale();
+  const containerRef = useRef();
+  const buttonsRef = useRef([]);
+  const [announcement, setAnnouncement] = useState("");
+
+  const selectedImage = images.find((image) => getUuid(image.url) === selectedFrameId);
+  const selectedLabel = selectedImage ? getFrameLabel(selectedImage) : null;
+
+  useEffect(() => {
+    if (selectedLabel) {
+      setAnnouncement(t("frames.opened", { name: selectedLabel }));
+    }
+  }, [selectedLabel, t]);
+
+  const handleFocus = (image, index) => {
+    onFocusFrame(image.slug);
+    setAnnouncement(t("frames.focused", {
+      name: getFrameLabel(image),
+      index: index + 1,
+      count: images.length,
+    }));
+  };
+
+  const handleBlur = (event) => {
+    if (!containerRef.current?.contains(event.relatedTarget)) {
+      onFocusFrame(null);
+    }
+  };
+
+  const handleKeyDown = (event, index) => {
+    if (event.key === "Escape") {
+      // Handled here, so Frames' window listener doesn't zoom out a second time
+      event.preventDefault();
+      event.stopPropagation();
+      onEscape();
+      return;
+    }
+    const move = NAVIGATION_KEYS[event.key];
+    if (!move || images.length === 0) return;
+    event.preventDefault();
+    const next = (move(index, images.length) + images.length) % images.length;
+    buttonsRef.current[next]?.focus();
+  };
+
+  return (
+    <Html zIndexRange={[10, 0]}>
+      <div
+        ref={containerRef}
+        role="group"
+        aria-label={t("frames.label")}
+        style={visuallyHidden}
+        onBlur={handleBlur}
+      >
+        {images.map((image, index) => (
+          <button
+            key={image.slug}
+            ref={(el) => (buttonsRef.current[index] = el)}
+            type="button"
+            aria-pressed={getUuid(image.url) === selectedFrameId}
+            onFocus={() => handleFocus(image, index)}
+            onKeyDown={(event) => handleKeyDown(event, index)}
+            onClick={() => onSelect(image)}
+          >
+            {getFrameLabel(image)}
+          </button>
+        ))}
+        <div aria-live="polite" role="status">
+          {announcement}
+        </div>
+      </div>
+    </Html>
+  );
+}
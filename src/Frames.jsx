@@ -1,6 +1,7 @@
 import * as THREE from "three";
-import { useEffect, useRef, useState } from "react";
-import { useFrame, useThree } from "@react-three/fiber";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useLocation, useRoute } from "wouter";
 import {
   useCursor,
 
@@ -13,26 +14,44 @@ import getUuid from "uuid-by-string";
 
 import { AccumulativeShadows, RandomizedLight } from "@react-three/drei";
 import { gsap } from "gsap";
-import Portal from './Portal';
-import { TextureLoader } from 'three';
-import { useLoader } from '@react-three/fiber';
 import { devLog, devWarn, devError } from './utils/devLog';
 import { useOptimizedParticles } from './utils/useOptimizedParticles';
 import { useFrameRate } from './utils/useFrameRate';
 import { useCachedElements } from './utils/useCachedElements';
+import { useQualityRef } from './utils/usePerformanceMonitor';
+import { useResponsiveTexture } from './utils/useResponsiveTexture';
+import { useVideoPreview } from './utils/useVideoPreview';
+import { useManagedTexture } from './utils/useManagedTexture';
+import { useLocale } from './utils/useLocale';
+import { requestCameraShot, releaseCameraShot } from './utils/cameraDirector';
+import { createDecorationRegistry } from './utils/decorationRegistry';
+import FrameNavigation from './FrameNavigation';
+import { ProjectDetailPanel } from './ProjectDetailPanel';
+import ProjectPortal from './ProjectPortal';
+import FrameDecorations from './FrameDecorations';
 
 const GOLDENRATIO = 1;
-
-// Helper function to calculate lookAt quaternion more robustly
-const calculateLookAtQuaternion = (
-  eye,
-  target,
-  up = new THREE.Vector3(0, 1, 0)
-) => {
-  const _matrix = new THREE.Matrix4();
-  _matrix.lookAt(eye, target, up);
-  return new THREE.Quaternion().setFromRotationMatrix(_matrix);
-};
+const MASK_URL = 'https://files.creative-directors.com/creative-website/creative25/project-masks/circle-mask.png';
+// Deep link to a zoomed-in frame, e.g. #/project/some-slug (see useHashLocation)
+export const PROJECT_ROUTE = "/project/:slug";
+const projectPath = (slug) => `/project/${encodeURIComponent(slug)}`;
+
+// Keys typed into a field or editor belong to it, not to the gallery
+const isEditableTarget = (target) =>
+  !!target?.closest?.("input, textarea, select, [contenteditable]:not([contenteditable='false'])");
+
+// Camera depths (z) in a frame's local space: the close-up in front of the
+// frame, and inside its portal world (see ProjectPortal)
+const FRAME_CLOSE_UP = { position: 1.25, target: 0.7 };
+const PORTAL_INSIDE = { position: -0.3, target: -2 };
+const PORTAL_ENTER = { duration: 1.2, ease: "power2.inOut" };
+const PORTAL_EXIT = { duration: 1, ease: "power2.inOut" };
+
+// Camera director params for looking along a frame's axis from a given depth
+const frameShot = (frame, { position, target }) => ({
+  position: frame.localToWorld(new THREE.Vector3(0, GOLDENRATIO / 2, position)),
+  target: frame.localToWorld(new THREE.Vector3(0, GOLDENRATIO / 2, target)),
+});
 
 // Use cached DOM elements for better performance
 const useProjectElements = () => {
@@ -68,95 +87,125 @@ function getUniquePortalConfigs(seed = 0) {
 export default function Frames({
   images,
   setIsZoomed,
-  section2Position,
-  section2LookAtTarget,
-  initialFov,
 }) {
   const ref = useRef();
   const clicked = useRef();
-  const { camera } = useThree();
   const [isAnimatingOut, setIsAnimatingOut] = useState(false);
   const [selectedFrameId, setSelectedFrameId] = useState(null);
-  const targetFovRef = useRef(initialFov);
-  const { clearActiveClasses } = useProjectElements();
+  // Slug of the frame with keyboard focus, shown with a focus ring
+  const [focusedSlug, setFocusedSlug] = useState(null);
+  const { clearActiveClasses, setActiveBySlug } = useProjectElements();
+  // Quality tier for texture picks, kept in a ref so frame rate changes don't re-render the gallery
+  const qualityRef = useQualityRef();
+  // Frames currently in the scene, including ones still playing their exit animation
+  const [renderedImages, setRenderedImages] = useState(images);
+  // Portal rings, glows and particles of all frames, drawn in a few batched calls
+  const [decorations] = useState(createDecorationRegistry);
+  // The route is the source of truth for the selection, so the browser's back
+  // and forward buttons zoom in and out like clicks do
+  const [, setLocation] = useLocation();
+  const [isProjectRoute, routeParams] = useRoute(PROJECT_ROUTE);
+  const routeSlug = isProjectRoute ? decodeURIComponent(routeParams.slug) : null;
+  // A page loaded on a project link opens on that frame without a camera move
+  const instantZoomRef = useRef(!!routeSlug);
+  // Shots of the focused frame, and whether the camera went into its portal
+  const portalShotsRef = useRef(null);
+
+  // Effect to follow the route: select its frame, or zoom out when it is left
+  useEffect(() => {
+    if (isAnimatingOut) return; // Picked up again once the zoom out has finished
+    const image = routeSlug && images.find(img => img.slug === routeSlug);
 
-  // Refs for animation targets
-  const finalZoomInPosition = useRef(new THREE.Vector3());
-  const frameCenterWorld = useRef(new THREE.Vector3());
-  const zoomInTargetQ = useRef(new THREE.Quaternion());
-  const zoomOutTargetQ = useRef(new THREE.Quaternion());
+    if (!image) {
+      if (selectedFrameId) {
+        devLog("Frames: Route left the selected frame, zooming out.");
+        setIsAnimatingOut(true);
+      }
+      // Projects may still be coming in from the page
+      if (routeSlug && images.length > 0) {
+        devWarn(`No frame found for project route: ${routeSlug}`);
+        setLocation("/", { replace: true });
+      }
+      return;
+    }
+
+    const frameId = getUuid(image.url);
+    if (frameId === selectedFrameId) return;
+    if (setActiveBySlug(image.slug) === -1) {
+      devWarn(`No project-links-item found for slug: ${image.slug}`);
+    }
+    setSelectedFrameId(frameId);
+  }, [routeSlug, images, selectedFrameId, isAnimatingOut, setActiveBySlug, setLocation]);
 
-  // Effect to handle zoom IN state and target calculation
+  // Effect to handle zoom IN: ask the camera director for a close-up of the
+  // frame, then carry on along its axis through the ring into its portal world
   useEffect(() => {
     clicked.current = ref.current?.getObjectByName(selectedFrameId);
     if (clicked.current) {
-      clicked.current.parent.updateWorldMatrix(true, true);
-
-      clicked.current.parent.localToWorld(
-        finalZoomInPosition.current.set(0, GOLDENRATIO / 2, 1.25)
-      );
-
-      clicked.current.parent.localToWorld(
-        frameCenterWorld.current.set(0, GOLDENRATIO / 2, 0.7)
-      );
-
-      zoomInTargetQ.current.copy(
-        calculateLookAtQuaternion(
-          finalZoomInPosition.current,
-          frameCenterWorld.current
-        )
-      );
-
-      setIsZoomed(true);
-      targetFovRef.current = 70;
-      devLog("Frames : Zoomed IN, setting isZoomed = true, target FOV = 70");
+      const frame = clicked.current.parent;
+      frame.updateWorldMatrix(true, true);
+      const shots = {
+        closeUp: frameShot(frame, FRAME_CLOSE_UP),
+        inside: frameShot(frame, PORTAL_INSIDE),
+        entered: false,
+      };
+      const instant = instantZoomRef.current;
+      instantZoomRef.current = false;
+
+      const enter = () => {
+        shots.entered = true;
+        requestCameraShot("project-focus", shots.inside, instant ? { duration: 0 } : PORTAL_ENTER);
+      };
+      const focus = () => {
+        portalShotsRef.current = shots;
+        requestCameraShot("project-focus", shots.closeUp, { duration: instant ? 0 : undefined, onComplete: enter });
+      };
+
+      // Coming from inside another frame's world: back out through its ring first
+      const previous = portalShotsRef.current;
+      if (previous?.entered) {
+        previous.entered = false;
+        requestCameraShot("project-focus", previous.closeUp, { ...PORTAL_EXIT, onComplete: focus });
+      } else {
+        focus();
+      }
+      setIsZoomed?.(true);
+      devLog("Frames : Zoomed IN, setting isZoomed = true");
     }
-  }, [selectedFrameId, setIsZoomed, camera, initialFov]);
+  }, [selectedFrameId, setIsZoomed]);
 
-  // Effect to run the zoom OUT animation
+  // Effect to run the zoom OUT: hand the camera back to the previous shot
   useEffect(() => {
     if (isAnimatingOut) {
       devLog("Frames : Starting zoom OUT animation");
 
-      zoomOutTargetQ.current.copy(
-        calculateLookAtQuaternion(section2Position, section2LookAtTarget)
-      );
-
-      gsap.to(camera.position, {
-        duration: 1.2,
-        x: section2Position.x,
-        y: section2Position.y,
-        z: section2Position.z,
-        ease: "power1.inOut",
-        onComplete: () => {
-          gsap.delayedCall(0.5, () => {
-            devLog("Frames: Zoom OUT animation complete (after delay)");
-            clearActiveClasses();
-            setIsAnimatingOut(false);
-            setIsZoomed(false);
-            setSelectedFrameId(null);
-          });
-        },
-      });
-    }
-  }, [isAnimatingOut, camera, section2Position, section2LookAtTarget, setIsZoomed]);
-
-  useFrame((state, dt) => {
-    const fovChanged = Math.abs(state.camera.fov - targetFovRef.current) > 0.01;
-    if (fovChanged) {
-      easing.damp(state.camera, "fov", targetFovRef.current, 0.4, dt);
-      state.camera.updateProjectionMatrix();
-    }
+      const finish = () => {
+        gsap.delayedCall(0.5, () => {
+          devLog("Frames: Zoom OUT animation complete (after delay)");
+          clearActiveClasses();
+          setIsAnimatingOut(false);
+          setIsZoomed?.(false);
+          setSelectedFrameId(null);
+        });
+      };
+      const release = () => {
+        if (!releaseCameraShot("project-focus", { onComplete: finish, onInterrupt: finish })) {
+          finish();
+        }
+      };
 
-    if (isAnimatingOut) {
-      easing.dampQ(state.camera.quaternion, zoomOutTargetQ.current, 0.5, dt);
-    } else if (selectedFrameId && clicked.current) {
-      easing.damp3(state.camera.position, finalZoomInPosition.current, 0.4, dt);
-      easing.dampQ(state.camera.quaternion, zoomInTargetQ.current, 0.4, dt);
+      // Back out of the portal world through the ring before leaving the frame
+      const shots = portalShotsRef.current;
+      portalShotsRef.current = null;
+      if (shots?.entered) {
+        requestCameraShot("project-focus", shots.closeUp, { ...PORTAL_EXIT, onComplete: release, onInterrupt: finish });
+      } else {
+        release();
+      }
     }
-  });
+  }, [isAnimatingOut, setIsZoomed]);
 
-  // Effect to handle scroll UP while zoomed in
+  // Effect to handle scroll UP or Escape while zoomed in
   useEffect(() => {
     if (selectedFrameId) {
       const handleWheel = (event) => {
@@ -166,21 +215,59 @@ export default function Frames({
           triggerZoomOut();
         }
       };
+      const handleKeyDown = (event) => {
+        // Leave Escape in the host page's fields (e.g. the contact form) alone
+        if (event.key === "Escape" && !isEditableTarget(event.target)) {
+          devLog("Frames: Escape pressed while zoomed, zooming out.");
+          triggerZoomOut();
+        }
+      };
       window.addEventListener("wheel", handleWheel, { passive: false });
-      return () => window.removeEventListener("wheel", handleWheel);
+      window.addEventListener("keydown", handleKeyDown);
+      return () => {
+        window.removeEventListener("wheel", handleWheel);
+        window.removeEventListener("keydown", handleKeyDown);
+      };
     }
   }, [selectedFrameId]);
 
+  // Zooming in and out goes through the route; the effect above does the rest
+  const openFrame = (image) => {
+    if (!isAnimatingOut && image?.slug) {
+      setLocation(projectPath(image.slug));
+    }
+  };
+
   const triggerZoomOut = () => {
     if (!isAnimatingOut && selectedFrameId) {
-      devLog("Frames: Triggering zoom out, setting target FOV");
-      targetFovRef.current = initialFov;
-      setIsAnimatingOut(true);
+      devLog("Frames: Triggering zoom out");
+      setLocation("/");
+    }
+  };
+
+  // Keyboard equivalent of clicking a frame: open it, or close it when it is already open
+  const handleKeyboardSelect = (image) => {
+    if (selectedFrameId === getUuid(image.url)) {
+      triggerZoomOut();
+    } else {
+      openFrame(image);
     }
   };
 
-  // Debug: get all slugs from images
-  const allSlugs = images.map(img => img.slug);
+  // Keep removed frames mounted until their exit animation has finished
+  useEffect(() => {
+    setRenderedImages((prev) => {
+      const nextSlugs = new Set(images.map(img => img.slug));
+      const exiting = prev
+        .filter(img => !nextSlugs.has(img.slug))
+        .map(img => ({ ...img, exiting: true }));
+      return [...images, ...exiting];
+    });
+  }, [images]);
+
+  const handleExited = useCallback((slug) => {
+    setRenderedImages(prev => prev.filter(img => !(img.exiting && img.slug === slug)));
+  }, []);
 
   return (
     <group
@@ -190,32 +277,48 @@ export default function Frames({
         if (clicked.current === e.object) {
           triggerZoomOut();
         } else {
-          if (!isAnimatingOut) {
-            setSelectedFrameId(e.object.name);
-          }
+          openFrame(renderedImages.find(img => getUuid(img.url) === e.object.name));
         }
       }}
       onPointerMissed={() => {
         triggerZoomOut();
       }}
     >
-      {images.map((props) => (
+      {renderedImages.map((props) => (
         <Frame
-          key={props.url}
+          key={props.slug}
           {...props}
           selectedFrameId={selectedFrameId}
+          focused={!props.exiting && props.slug === focusedSlug}
+          qualityRef={qualityRef}
+          decorations={decorations}
+          onExited={handleExited}
         />
       ))}
+      <FrameDecorations registry={decorations} />
+      <FrameNavigation
+        images={images}
+        selectedFrameId={selectedFrameId}
+        onFocusFrame={setFocusedSlug}
+        onSelect={handleKeyboardSelect}
+        onEscape={triggerZoomOut}
+      />
     </group>
   );
 }
 
-function Frame({ url, c = new THREE.Color(), selectedFrameId, ...props }) {
+function Frame({ url, srcset, link, video, model, qualityRef, metadata, position, rotation, c = new THREE.Color(), selectedFrameId, focused = false, exiting = false, decorations, onExited, ...props }) {
+  const group = useRef();
+  const frameMesh = useRef();
   const image = useRef();
+  const focusRing = useRef();
+  const portalWorld = useRef();
   const linkRef = useRef();
-  const portalRef = useRef();
-  const particlesRef = useRef();
   const [hovered, hover] = useState(false);
+  // The portal world is mounted while the frame is focused and until the
+  // camera has blended back out of it
+  const [portalOpen, setPortalOpen] = useState(false);
+  const portalBlend = useRef(0);
   const [rnd] = useState(() => Math.random());
   const name = getUuid(url);
   const isActive = selectedFrameId === name;
@@ -224,34 +327,79 @@ function Frame({ url, c = new THREE.Color(), selectedFrameId, ...props }) {
   // Use optimized particle system
   const { positions: particlePositions, count: particleCount } = useOptimizedParticles(50);
 
-  const imageTexture = useLoader(TextureLoader, url);
-  const mask = useLoader(TextureLoader, 'https://files.creative-directors.com/creative-website/creative25/project-masks/circle-mask.png');
+  // Shared with other frames and remounts, so never disposed here (see utils/textureManager.js)
+  const [imageTexture, mask] = useManagedTexture([url, MASK_URL]);
+  // Swaps in a larger srcset candidate when the frame is rendered bigger, e.g. when zoomed in
+  const upgradedTexture = useResponsiveTexture(image, {
+    srcset,
+    url,
+    worldWidth: 0.7, // circle image diameter
+    qualityRef,
+  });
+  // Looping preview clip while hovered, focused or zoomed in
+  const videoTexture = useVideoPreview(video, (hovered || focused || isActive) && !exiting);
 
-  const seed = rnd * 1000; // unique per frame
-  const portalConfigs = getUniquePortalConfigs(seed);
+  // Unique per frame and fixed for its lifetime
+  const portalConfigs = useMemo(() => getUniquePortalConfigs(rnd * 1000), [rnd]);
 
-  // Add cleanup for particles and textures
+  // Rings, glow and particles are drawn by FrameDecorations, anchored to the frame mesh
   useEffect(() => {
-    return () => {
-      if (particlesRef.current) {
-        particlesRef.current.geometry.dispose();
-        particlesRef.current.material.dispose();
-      }
-      if (imageTexture) {
-        imageTexture.dispose();
-      }
-      if (mask) {
-        mask.dispose();
-      }
-    };
-  }, []);
+    if (!decorations) return;
+    return decorations.register(props.slug, {
+      anchor: frameMesh.current,
+      portalConfigs,
+      particles: particlePositions,
+      particleCount,
+    });
+  }, [decorations, props.slug, portalConfigs, particlePositions, particleCount]);
+
+  // Placement is only applied on mount; later changes (re-layout after
+  // filtering or DOM updates) are tweened below instead of jumping
+  const [initialPlacement] = useState(() => ({ position, rotation }));
+  // Compared by value, as the arrays are recreated on every layout pass
+  const [x, y, z] = position || [];
+  const [rx, ry, rz] = rotation || [0, 0, 0];
+
+  useEffect(() => {
+    if (exiting || x === undefined) return;
+    const timeline = gsap.timeline({ defaults: { duration: 0.9, ease: "power2.inOut" } })
+      .to(group.current.position, { x, y, z }, 0)
+      .to(group.current.rotation, { x: rx, y: ry, z: rz }, 0);
+    return () => timeline.kill();
+  }, [x, y, z, rx, ry, rz, exiting]);
+
+  // Enter animation: grow in from scale 0 when added to the scene, or back to
+  // full size when a frame returns before its exit animation finished
+  useEffect(() => {
+    if (exiting) return;
+    const tween = gsap.to(group.current.scale, { x: 1, y: 1, z: 1, duration: 0.8, ease: "back.out(1.7)" });
+    return () => tween.kill();
+  }, [exiting]);
+
+  // Exit animation: fly up and away from the centre while shrinking, then let Frames unmount us
+  useEffect(() => {
+    if (!exiting) return;
+    const { x, y, z } = group.current.position;
+    const distance = Math.hypot(x, z) || 1;
+    const timeline = gsap.timeline({
+      defaults: { duration: 0.6, ease: "power2.in" },
+      onComplete: () => onExited?.(props.slug),
+    })
+      .to(group.current.position, {
+        x: x + (x / distance) * 3,
+        y: y + 2,
+        z: z + (z / distance) * 3,
+      }, 0)
+      .to(group.current.scale, { x: 0, y: 0, z: 0, ease: "back.in(1.7)" }, 0);
+    return () => timeline.kill();
+  }, [exiting, onExited, props.slug]);
 
   useFrameRate((state, dt) => {
     image.current.material.zoom =
       2 + Math.sin(rnd * 10000 + state.clock.elapsedTime / 3) / 2;
 
-    // Scale up on hover or if frame is active
-    const targetScale = (hovered || isActive) ? 1.3 : 1;
+    // Scale up on hover, keyboard focus or if frame is active
+    const targetScale = (hovered || focused || isActive) ? 1.3 : 1;
     easing.damp3(
       image.current.scale,
       [targetScale, targetScale, 1],
@@ -259,54 +407,49 @@ function Frame({ url, c = new THREE.Color(), selectedFrameId, ...props }) {
       dt
     );
 
-    // Update particle positions from optimized system
-    if (particlesRef.current) {
-      const positions = particlesRef.current.geometry.attributes.position.array;
-      for (let i = 0; i < particleCount * 3; i++) {
-        positions[i] = particlePositions[i];
-      }
-      particlesRef.current.geometry.attributes.position.needsUpdate = true;
-    }
+    // Fade the focus ring in and out, with a slow pulse while focused
+    const pulse = 0.75 + 0.25 * Math.sin(state.clock.elapsedTime * 4);
+    easing.damp(focusRing.current.material, "opacity", focused ? pulse : 0, 0.1, dt);
+    focusRing.current.visible = focusRing.current.material.opacity > 0.01;
   }, 30); // Reduced from 60fps to 30fps
 
-  // Separate useFrame for smooth portal shader time updates to prevent flickering
-  useFrame((state) => {
-    if (portalRef.current) {
-      portalRef.current.children.forEach(child => {
-        if (child.material.uniforms) {
-          child.material.uniforms.time.value = state.clock.elapsedTime * 0.2;
-        }
-      });
+  useFrame(() => {
+    // The portal world opens in place of the image, at its size
+    if (portalWorld.current) {
+      portalWorld.current.scale.setScalar(image.current.scale.x);
     }
   });
 
-  const { setActiveBySlug } = useProjectElements();
-
-  const handleLinkClick = (e) => {
-    devLog("Frame clicked, handling link logic:", props);
-    if (props.slug) {
-      const result = setActiveBySlug(props.slug);
-      if (result !== -1) {
-        devLog("Added 'active' class to project item");
-      } else {
-        devWarn(`No project-links-item found for slug: ${props.slug}`);
-      }
-    } else {
-      devWarn("Slug prop is missing from Frame component.");
-      devLog("Frame props:", props);
+  useEffect(() => {
+    if (isActive && !exiting) {
+      setPortalOpen(true);
+    } else if (portalBlend.current === 0) {
+      setPortalOpen(false);
     }
+  }, [isActive, exiting]);
+
+  const handlePortalBlend = (blend) => {
+    portalBlend.current = blend;
+    if (blend === 0 && !isActive) setPortalOpen(false);
   };
 
   return (
-    <group {...props}>
+    <group
+      ref={group}
+      position={initialPlacement.position}
+      rotation={initialPlacement.rotation}
+      scale={0}
+      {...props}
+    >
       <mesh
+        ref={frameMesh}
         visible={true}
         name={name}
+        raycast={exiting ? () => null : undefined}
         onPointerOver={(e) => (e.stopPropagation(), hover(true))}
         onPointerOut={() => hover(false)}
         scale={[1, GOLDENRATIO, 0.05]}
         position={[0, GOLDENRATIO / 2, 0]}
-        onClick={(e) => { handleLinkClick(e); }}
       >
         <circleGeometry args={[0.38, 64]} />
         <meshStandardMaterial
@@ -318,43 +461,21 @@ function Frame({ url, c = new THREE.Color(), selectedFrameId, ...props }) {
           <ringGeometry args={[0.34, 0.37, 64]} />
           <meshBasicMaterial color="#fff" opacity={0.18} transparent blending={THREE.AdditiveBlending} />
         </mesh> */}
-        {/* Subtle glow behind the image */}
-        <mesh position={[0, 0, 0.65]} scale={[0.7, 0.7 * GOLDENRATIO, 1]} raycast={() => null}>
-          <ringGeometry args={[0.28, 0.36, 64]} />
-          <meshBasicMaterial color="#fff8b0" opacity={0.10} transparent blending={THREE.AdditiveBlending} />
+        {/* Keyboard focus ring, just outside the image at its hovered size */}
+        <mesh ref={focusRing} position={[0, 0, 0.76]} visible={false} raycast={() => null}>
+          <ringGeometry args={[0.47, 0.5, 64]} />
+          <meshBasicMaterial color={metadata?.color || "#fff8b0"} opacity={0} transparent depthWrite={false} />
         </mesh>
         {/* Circular image with alpha mask and ref */}
         <mesh ref={image} position={[0, 0, 0.75]} raycast={() => null}>
           <circleGeometry args={[0.35, 64]} />
           <meshBasicMaterial
-            map={imageTexture}
+            map={videoTexture || upgradedTexture || imageTexture}
             alphaMap={mask}
             transparent
             side={THREE.DoubleSide}
           />
         </mesh>
-
-        <Portal ref={portalRef} position={[0, 0, 0.35]} scale={[1, GOLDENRATIO, 1]} configs={portalConfigs} />
-        {/* Energy particles */}
-        <points ref={particlesRef} raycast={() => null}>
-          <bufferGeometry>
-            <bufferAttribute
-              attach="attributes-position"
-              count={particleCount}
-              array={particlePositions}
-              itemSize={3}
-            />
-          </bufferGeometry>
-          <pointsMaterial
-            color="#ffffff"
-            size={0.01}
-            transparent
-            opacity={0.9}
-            sizeAttenuation
-            blending={THREE.AdditiveBlending}
-            depthWrite={false}
-          />
-        </points>
       </mesh>
       <Text
         maxWidth={0.1}
@@ -365,6 +486,66 @@ function Frame({ url, c = new THREE.Color(), selectedFrameId, ...props }) {
       >
         {props.name?.split("-").join(" ") || name.split("-").join(" ")}
       </Text>
+      {metadata && <FrameMeta metadata={metadata} position={[0.55, GOLDENRATIO, 0]} />}
+      {portalOpen && (
+        <ProjectPortal
+          ref={portalWorld}
+          position={[0, GOLDENRATIO / 2, 0.045]}
+          texture={videoTexture || upgradedTexture || imageTexture}
+          model={model}
+          color={metadata?.color}
+          onBlend={handlePortalBlend}
+        />
+      )}
+      {/* Kept in front of the camera both at the close-up and inside the portal */}
+      {isActive && !exiting && link && (
+        <ProjectDetailPanel url={link} name={props.name} position={[0, GOLDENRATIO / 2, -1.5]} />
+      )}
+    </group>
+  );
+}
+
+// Year badge, client and category stacked above the frame's name label
+function FrameMeta({ metadata, ...props }) {
+  const { year, client, category, color } = metadata;
+  const { t } = useLocale();
+  const accent = color || "#fff8b0";
+  const lines = [];
+  if (client) lines.push({ key: "client", text: t("frame.client", { client }), color: "#ffffff", opacity: 0.8 });
+  if (category) lines.push({ key: "category", text: category.toUpperCase(), color: accent, opacity: 0.9 });
+
+  return (
+    <group {...props}>
+      {lines.map((line, i) => (
+        <Text
+          key={line.key}
+          anchorX="left"
+          anchorY="bottom"
+          position={[0, 0.012 + i * 0.028, 0]}
+          fontSize={0.02}
+          color={line.color}
+          fillOpacity={line.opacity}
+        >
+          {line.text}
+        </Text>
+      ))}
+      {year && (
+        <group position={[0, 0.02 + lines.length * 0.028, 0]}>
+          <mesh position={[0.032, 0.014, -0.001]} raycast={() => null}>
+            <planeGeometry args={[0.072, 0.03]} />
+            <meshBasicMaterial color={accent} transparent opacity={0.85} />
+          </mesh>
+          <Text
+            anchorX="left"
+            anchorY="middle"
+            position={[0.006, 0.014, 0]}
+            fontSize={0.018}
+            color="#000000"
+          >
+            {String(year)}
+          </Text>
+        </group>
+      )}
     </group>
   );
 }
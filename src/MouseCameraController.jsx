@@ -1,49 +1,69 @@
-import { useEffect, useRef } from 'react'
 import { useThree, useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
+import { easing } from 'maath'
+import { useParallaxInput } from './utils/useParallaxInput'
+import { getCameraPose, getActiveCameraController } from './utils/cameraDirector'
 
-export default function MouseCameraController({ lookAtRef }) {
-    const { camera } = useThree()
-    const mouseX = useRef(0)
-    const basePositionRef = useRef(new THREE.Vector3())
-    const targetPositionRef = useRef(new THREE.Vector3())
-    const isInitialLookAtSet = useRef(false);
-
+const DEFAULT_OFFSET = [0.5, 0.3, 0.4]
+const DEFAULT_LIMITS = { azimuth: [-0.3, 0.3], polar: [-0.15, 0.15] }
 
-    // Simplified parameters for horizontal movement
-    const MAX_HORIZONTAL_OFFSET = 0.5 // Max distance camera can move from its base position
-    const LERP_SPEED = 0.05 // Smoothing factor for the camera movement
+const _restSpherical = new THREE.Spherical()
+const _spherical = new THREE.Spherical()
+const _toCamera = new THREE.Vector3()
+const _forward = new THREE.Vector3()
+const _target = new THREE.Vector3()
 
-    useEffect(() => {
-        basePositionRef.current.copy(camera.position)
+// Shortest signed difference between two angles
+const angleDelta = (a, b) => Math.atan2(Math.sin(a - b), Math.cos(a - b))
 
-        const handleMouseMove = (event) => {
-            mouseX.current = (event.clientX / window.innerWidth) * 2 - 1
-        }
+/**
+ * Parallax camera rig, the 'parallax' controller of the camera director.
+ * Mouse, touch drags and device tilt (see createParallaxInput) move the camera
+ * around the director's current pose while it keeps looking at the pose's
+ * target. Idle while a shot is driven by the director itself.
+ * @param {number[]} [offset=[0.5, 0.3, 0.4]] - Largest horizontal, vertical and
+ *   depth offset; the depth offset moves the camera in as the input nears the edges
+ * @param {Object} [limits] - Orbit limits in radians around the pose's
+ *   direction: { azimuth: [min, max], polar: [min, max] }
+ * @param {number} [smoothTime=0.35] - Damping time in seconds, independent of the frame rate
+ * @param {number} [orientationRange] - Degrees of device tilt mapped to the full offset
+ * @param {number} [touchSensitivity] - Offset per screen width of touch drag
+ */
+export default function MouseCameraController({
+    offset = DEFAULT_OFFSET,
+    limits = DEFAULT_LIMITS,
+    smoothTime = 0.35,
+    orientationRange,
+    touchSensitivity,
+}) {
+    const { camera } = useThree()
+    const input = useParallaxInput({ orientationRange, touchSensitivity })
 
-        window.addEventListener('mousemove', handleMouseMove)
-        return () => window.removeEventListener('mousemove', handleMouseMove)
-    }, [camera])
+    useFrame((state, delta) => {
+        if (getActiveCameraController() !== 'parallax') return
 
-    useFrame(() => {
-        if (lookAtRef.current && !isInitialLookAtSet.current) {
-            camera.lookAt(lookAtRef.current.position);
-            basePositionRef.current.copy(camera.position); // Re-capture base position after initial look-at
-            isInitialLookAtSet.current = true;
-        }
-        // Calculate the target X position based on the base position and mouse offset
-        const targetX = basePositionRef.current.x + mouseX.current * MAX_HORIZONTAL_OFFSET
+        const { position: base, target: lookAt } = getCameraPose()
+        const { x, y } = input.value
+        _forward.subVectors(lookAt, base).normalize()
 
-        // Set the target position for the camera to lerp towards
-        targetPositionRef.current.set(targetX, basePositionRef.current.y, basePositionRef.current.z)
+        // Parallax offsets around the pose
+        _target.set(base.x + x * offset[0], base.y + y * offset[1], base.z)
+        _target.addScaledVector(_forward, offset[2] * Math.min(1, Math.hypot(x, y)))
 
-        // Smoothly interpolate the camera's position
-        camera.position.lerp(targetPositionRef.current, LERP_SPEED)
+        // Keep the camera within the orbit limits around the look-at target
+        _restSpherical.setFromVector3(_toCamera.subVectors(base, lookAt))
+        _spherical.setFromVector3(_toCamera.subVectors(_target, lookAt))
+        _spherical.theta = _restSpherical.theta + THREE.MathUtils.clamp(
+            angleDelta(_spherical.theta, _restSpherical.theta), limits.azimuth[0], limits.azimuth[1]
+        )
+        _spherical.phi = _restSpherical.phi + THREE.MathUtils.clamp(
+            _spherical.phi - _restSpherical.phi, limits.polar[0], limits.polar[1]
+        )
+        _target.setFromSpherical(_spherical).add(lookAt)
 
-        if (lookAtRef.current) {
-            camera.lookAt(lookAtRef.current.position)
-        }
+        easing.damp3(camera.position, _target, smoothTime, delta)
+        camera.lookAt(lookAt)
     })
 
     return null
-}
\ No newline at end of file
+}
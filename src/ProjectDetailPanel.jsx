@@ -0,0 +1,140 @@
+import { Html } from "@react-three/drei";
+import { useProjectDetails } from "./utils/useProjectDetails";
+import { useLocale } from "./utils/useLocale";
+
+const styles = {
+  panel: {
+    width: "min(320px, 38vw)",
+    maxHeight: "60vh",
+    overflowY: "auto",
+    padding: "20px",
+    borderRadius: "12px",
+    background: "rgba(0, 0, 0, 0.55)",
+    backdropFilter: "blur(8px)",
+    border: "1px solid rgba(255, 255, 255, 0.15)",
+    color: "white",
+    fontFamily: "system-ui, -apple-system, sans-serif",
+    fontSize: "14px",
+    lineHeight: 1.5,
+    userSelect: "text",
+  },
+  heading: {
+    margin: "16px 0 6px",
+    fontSize: "12px",
+    letterSpacing: "0.08em",
+    textTransform: "uppercase",
+    opacity: 0.7,
+  },
+  paragraph: {
+    margin: "0 0 8px",
+  },
+  credits: {
+    display: "grid",
+    gridTemplateColumns: "auto 1fr",
+    gap: "2px 12px",
+    margin: 0,
+  },
+  gallery: {
+    display: "grid",
+    gridTemplateColumns: "repeat(3, 1fr)",
+    gap: "6px",
+  },
+  thumbnail: {
+    width: "100%",
+    aspectRatio: "1",
+    objectFit: "cover",
+    borderRadius: "4px",
+  },
+  link: {
+    display: "inline-block",
+    marginTop: "16px",
+    color: "#fff8b0",
+  },
+};
+
+const PANEL_MARGIN = 24;
+
+// Pinned to the right edge of the canvas rather than to a point in the scene,
+// so the panel stays put while the camera moves through the portal
+const pinRight = (el, camera, size) => [
+  size.width - Math.min(320, size.width * 0.38) - PANEL_MARGIN,
+  size.height * 0.2,
+];
+
+// Placeholder lines roughly the shape of a description
+const SKELETON_LINES = ["100%", "92%", "96%", "60%"];
+
+function DetailSkeleton() {
+  return (
+    <div aria-hidden="true">
+      {SKELETON_LINES.map((width, i) => (
+        <div key={i} className="project-detail-skeleton" style={{ width, height: "12px", marginBottom: "10px" }} />
+      ))}
+      <div style={{ ...styles.gallery, marginTop: "18px" }}>
+        {[0, 1, 2].map((i) => (
+          <div key={i} className="project-detail-skeleton" style={{ aspectRatio: "1" }} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Details of the zoomed-in project beside its frame: description, credits
+ * and gallery, read from the project's own page (see utils/projectDetails.js).
+ * Shows a skeleton while the page loads and a plain link if it can't be read.
+ * Drawn at the right edge of the canvas; the position only needs to stay in
+ * front of the camera, as the panel is hidden while its anchor is behind it.
+ * @param {string} url - Project page URL
+ * @param {string} [name] - Project name, for the panel's accessible label
+ */
+export function ProjectDetailPanel({ url, name, ...props }) {
+  const { t } = useLocale();
+  const { status, details } = useProjectDetails(url);
+  const isLoading = status === "loading" || status === "idle";
+
+  return (
+    <Html zIndexRange={[10, 0]} calculatePosition={pinRight} {...props}>
+      <section style={styles.panel} aria-label={name} aria-busy={isLoading}>
+        {isLoading && (
+          <>
+            <span style={{ position: "absolute", left: "-10000px" }}>{t("frames.details.loading")}</span>
+            <DetailSkeleton />
+          </>
+        )}
+        {status === "error" && <p style={styles.paragraph}>{t("frames.details.error")}</p>}
+        {status === "loaded" && (
+          <>
+            {details.description.map((paragraph, i) => (
+              <p key={i} style={styles.paragraph}>{paragraph}</p>
+            ))}
+            {details.credits.length > 0 && (
+              <>
+                <h3 style={styles.heading}>{t("frames.details.credits")}</h3>
+                <dl style={styles.credits}>
+                  {details.credits.map((credit, i) => (
+                    <div key={i} style={{ display: "contents" }}>
+                      <dt style={{ opacity: 0.7 }}>{credit.role}</dt>
+                      <dd style={{ margin: 0 }}>{credit.name}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </>
+            )}
+            {details.gallery.length > 0 && (
+              <>
+                <h3 style={styles.heading}>{t("frames.details.gallery")}</h3>
+                <div style={styles.gallery}>
+                  {details.gallery.map((image) => (
+                    <img key={image.url} src={image.url} alt={image.alt} loading="lazy" style={styles.thumbnail} />
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        )}
+        <a href={url} style={styles.link}>{t("frames.details.viewProject")}</a>
+      </section>
+    </Html>
+  );
+}
@@ -0,0 +1,116 @@
+import * as THREE from "three";
+import { Component, Suspense, forwardRef, useImperativeHandle, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { Float, MeshPortalMaterial, Sparkles, useGLTF } from "@react-three/drei";
+import { devWarn } from "./utils/devLog";
+
+// Portal radius, matching the frame's circular image
+export const PORTAL_RADIUS = 0.35;
+// How far in front of the portal (in its own units) the blend into its world starts
+const BLEND_DEPTH = 0.5;
+const DEFAULT_BACKGROUND = "#0b0b12";
+const DEFAULT_ACCENT = "#fff8b0";
+
+const _camera = new THREE.Vector3();
+
+function HeroModel({ url }) {
+  const { scene } = useGLTF(url);
+  return <primitive object={scene} />;
+}
+
+// Shows the fallback when the hero model fails to load, so a bad
+// data-three-model URL only costs the model, not the whole scene
+class HeroBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    devWarn(`Hero model failed to load: ${this.props.url}`, error);
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
+
+function HeroImage({ texture }) {
+  // Videos report their size as videoWidth/videoHeight
+  const image = texture?.image;
+  const width = image?.videoWidth || image?.width || 1;
+  const height = image?.videoHeight || image?.height || 1;
+  const aspect = width / height;
+  const size = aspect > 1 ? [1.6, 1.6 / aspect] : [1.6 * aspect, 1.6];
+  return (
+    <mesh>
+      <planeGeometry args={size} />
+      <meshBasicMaterial map={texture} toneMapped={false} />
+    </mesh>
+  );
+}
+
+/**
+ * A project's own little world, seen through its frame and entered by moving
+ * the camera through it. The world is drawn through drei's MeshPortalMaterial
+ * in the portal's local space: a background in the project colour, lights, and
+ * a floating hero model or image.
+ *
+ * The blend into the world follows the camera: it starts BLEND_DEPTH in front
+ * of the portal and is complete once the camera passes through, so any camera
+ * move through the ring, in or out, blends smoothly.
+ * @param {THREE.Texture} [texture] - Hero image, used without a model
+ * @param {string} [model] - GLB URL of a hero model; the image is shown if it fails to load
+ * @param {string} [color] - Project colour for the background and lights
+ * @param {Function} [onBlend] - Called with the blend (0-1) whenever it changes
+ */
+const ProjectPortal = forwardRef(function ProjectPortal({ texture, model, color, onBlend, ...props }, ref) {
+  const mesh = useRef();
+  const material = useRef();
+  useImperativeHandle(ref, () => mesh.current);
+  const accent = color || DEFAULT_ACCENT;
+  const background = useMemo(
+    () => (color ? new THREE.Color(color).multiplyScalar(0.15) : new THREE.Color(DEFAULT_BACKGROUND)),
+    [color]
+  );
+
+  useFrame(({ camera }) => {
+    if (!mesh.current || !material.current) return;
+    _camera.copy(camera.position);
+    mesh.current.worldToLocal(_camera);
+    const inside = Math.hypot(_camera.x, _camera.y) < PORTAL_RADIUS;
+    const blend = inside ? 1 - THREE.MathUtils.smoothstep(_camera.z, 0, BLEND_DEPTH) : 0;
+    if (blend !== material.current.blend) {
+      material.current.blend = blend;
+      onBlend?.(blend);
+    }
+  });
+
+  return (
+    <mesh ref={mesh} raycast={() => null} {...props}>
+      <circleGeometry args={[PORTAL_RADIUS, 64]} />
+      <MeshPortalMaterial ref={material}>
+        <color attach="background" args={[background]} />
+        <fog attach="fog" args={[background, 2, 8]} />
+        <ambientLight intensity={0.6} />
+        <pointLight position={[1.5, 1.5, -1]} intensity={8} color={accent} />
+        <pointLight position={[-1.5, -0.5, -1.5]} intensity={4} color="#ffffff" />
+        <Float position={[0, 0, -2.6]} speed={1.5} rotationIntensity={0.3} floatIntensity={0.4}>
+          {model ? (
+            <HeroBoundary key={model} url={model} fallback={<HeroImage texture={texture} />}>
+              <Suspense fallback={null}>
+                <HeroModel url={model} />
+              </Suspense>
+            </HeroBoundary>
+          ) : (
+            <HeroImage texture={texture} />
+          )}
+        </Float>
+        <Sparkles count={40} scale={[4, 3, 4]} position={[0, 0, -2.6]} size={2} color={accent} />
+      </MeshPortalMaterial>
+    </mesh>
+  );
+});
+
+export default ProjectPortal;
@@ -10,13 +10,26 @@ import { useEffect } from "react";
 import { useFrame } from "@react-three/fiber";
 import * as THREE from "three";
 import { useModelLoader, preloadModel } from './utils/ModelLoader';
+import { useLocale } from './utils/useLocale';
+import { useGlyphPhysics } from './utils/useGlyphPhysics';
 
 // Define model URLs
 const localModelUrl = "/models/site-headings.glb";
 const remoteModelUrl = "https://files.creative-directors.com/creative-website/creative25/glbs/site-headings.glb";
 
-export function Heading(props) {
-  const { nodes, materials } = useModelLoader(localModelUrl, remoteModelUrl);
+/**
+ * Site heading exported from Blender. Each letter is a bevel and face mesh
+ * pair, grouped per glyph so the letters react to the pointer.
+ * @param {boolean} [interactive=true] - Let the glyphs react to the pointer
+ */
+export function Heading({ interactive = true, ...props }) {
+  // A locale can ship its own export of the headings (assets.siteHeadings)
+  const { t } = useLocale();
+  const localizedModel = t("assets.siteHeadings");
+  const { nodes, materials } = useModelLoader(
+    localizedModel?.local || localModelUrl,
+    localizedModel?.remote || remoteModelUrl
+  );
   // materials.blau = new MeshBasicMaterial({
   //   color: new Color(0.5, 0.4, 11), // Exaggerated #F4E7D7
   //   // color: new Color("#F4E7D7"), // Exaggerated #F4E7D7
@@ -26,6 +39,10 @@ export function Heading(props) {
   const pointLightRef = React.useRef();
   const directionalLightRef = React.useRef();
   const TextRef = React.useRef();
+  const glyphsRef = React.useRef([]);
+  const glyphRef = (index) => (object) => { glyphsRef.current[index] = object; };
+
+  useGlyphPhysics(glyphsRef, { enabled: interactive });
 
   // useHelper(pointLightRef, THREE.PointLightHelper, 1, new Color(0xff0000));
   // useHelper(
@@ -72,102 +89,118 @@ export function Heading(props) {
       />
       <Center>
         <group ref={TextRef} position={[0, 0, 0]}>
-          <mesh
-            geometry={nodes.Text008.geometry}
-            material={materials.blau}
-            position={[1.963, -0.031, -0.366]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text009.geometry}
-            material={materials.weiß}
-            position={[-1.388, -0.025, -0.386]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text011.geometry}
-            material={materials.weiß}
-            position={[1.951, -0.013, -0.366]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text044.geometry}
-            material={materials.blau}
-            position={[1.443, -0.031, -0.474]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text045.geometry}
-            material={materials.blau}
-            position={[0.792, -0.031, -0.369]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text046.geometry}
-            material={materials.blau}
-            position={[0.256, -0.031, -0.366]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text047.geometry}
-            material={materials.blau}
-            position={[-0.187, -0.031, -0.305]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text048.geometry}
-            material={materials.blau}
-            position={[-0.784, -0.031, -0.363]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text050.geometry}
-            material={materials.blau}
-            position={[-1.98, -0.031, -0.421]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text067.geometry}
-            material={materials.weiß}
-            position={[1.443, -0.013, -0.48]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text068.geometry}
-            material={materials.weiß}
-            position={[0.782, -0.013, -0.368]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text069.geometry}
-            material={materials.weiß}
-            position={[0.244, -0.013, -0.366]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text070.geometry}
-            material={materials.weiß}
-            position={[-0.184, -0.013, -0.297]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text071.geometry}
-            material={materials.weiß}
-            position={[-0.784, -0.013, -0.363]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text073.geometry}
-            material={materials.weiß}
-            position={[-1.979, -0.013, -0.425]}
-            scale={[1, 0.423, 1]}
-          />
-          <mesh
-            geometry={nodes.Text074.geometry}
-            material={materials.blau}
-            position={[-1.383, -0.044, -0.377]}
-            scale={[1, 0.423, 1]}
-          />
+          <group ref={glyphRef(0)}>
+            <mesh
+              geometry={nodes.Text050.geometry}
+              material={materials.blau}
+              position={[-1.98, -0.031, -0.421]}
+              scale={[1, 0.423, 1]}
+            />
+            <mesh
+              geometry={nodes.Text073.geometry}
+              material={materials.weiß}
+              position={[-1.979, -0.013, -0.425]}
+              scale={[1, 0.423, 1]}
+            />
+          </group>
+          <group ref={glyphRef(1)}>
+            <mesh
+              geometry={nodes.Text074.geometry}
+              material={materials.blau}
+              position={[-1.383, -0.044, -0.377]}
+              scale={[1, 0.423, 1]}
+            />
+            <mesh
+              geometry={nodes.Text009.geometry}
+              material={materials.weiß}
+              position={[-1.388, -0.025, -0.386]}
+              scale={[1, 0.423, 1]}
+            />
+          </group>
+          <group ref={glyphRef(2)}>
+            <mesh
+              geometry={nodes.Text048.geometry}
+              material={materials.blau}
+              position={[-0.784, -0.031, -0.363]}
+              scale={[1, 0.423, 1]}
+            />
+            <mesh
+              geometry={nodes.Text071.geometry}
+              material={materials.weiß}
+              position={[-0.784, -0.013, -0.363]}
+              scale={[1, 0.423, 1]}
+            />
+          </group>
+          <group ref={glyphRef(3)}>
+            <mesh
+              geometry={nodes.Text047.geometry}
+              material={materials.blau}
+              position={[-0.187, -0.031, -0.305]}
+              scale={[1, 0.423, 1]}
+            />
+            <mesh
+              geometry={nodes.Text070.geometry}
+              material={materials.weiß}
+              position={[-0.184, -0.013, -0.297]}
+              scale={[1, 0.423, 1]}
+            />
+          </group>
+          <group ref={glyphRef(4)}>
+            <mesh
+              geometry={nodes.Text046.geometry}
+              material={materials.blau}
+              position={[0.256, -0.031, -0.366]}
+              scale={[1, 0.423, 1]}
+            />
+            <mesh
+              geometry={nodes.Text069.geometry}
+              material={materials.weiß}
+              position={[0.244, -0.013, -0.366]}
+              scale={[1, 0.423, 1]}
+            />
+          </group>
+          <group ref={glyphRef(5)}>
+            <mesh
+              geometry={nodes.Text045.geometry}
+              material={materials.blau}
+              position={[0.792, -0.031, -0.369]}
+              scale={[1, 0.423, 1]}
+            />
+            <mesh
+              geometry={nodes.Text068.geometry}
+              material={materials.weiß}
+              position={[0.782, -0.013, -0.368]}
+              scale={[1, 0.423, 1]}
+            />
+          </group>
+          <group ref={glyphRef(6)}>
+            <mesh
+              geometry={nodes.Text044.geometry}
+              material={materials.blau}
+              position={[1.443, -0.031, -0.474]}
+              scale={[1, 0.423, 1]}
+            />
+            <mesh
+              geometry={nodes.Text067.geometry}
+              material={materials.weiß}
+              position={[1.443, -0.013, -0.48]}
+              scale={[1, 0.423, 1]}
+            />
+          </group>
+          <group ref={glyphRef(7)}>
+            <mesh
+              geometry={nodes.Text008.geometry}
+              material={materials.blau}
+              position={[1.963, -0.031, -0.366]}
+              scale={[1, 0.423, 1]}
+            />
+            <mesh
+              geometry={nodes.Text011.geometry}
+              material={materials.weiß}
+              position={[1.951, -0.013, -0.366]}
+              scale={[1, 0.423, 1]}
+            />
+          </group>
         </group></Center>
     </group>
   );
@@ -1,6 +1,8 @@
-import { useRef } from "react";
+import { Suspense, useRef } from "react";
 import { useFrame } from "@react-three/fiber";
 import * as THREE from "three";
+import { introProgress } from "./utils/introTimeline";
+import { useManagedTexture } from "./utils/useManagedTexture";
 
 // Determine the model URL based on the environment
 const isDevelopment = import.meta.env.DEV;
@@ -19,28 +21,41 @@ const remoteImages = {
 };
 const img = isDevelopment ? localimages : remoteImages;
 
-export default function Terrain({ position, rotation, scale }) {
-    const meshRef = useRef();
-    const materialRef = useRef();
+// How far below its resting place the terrain starts during the intro
+const INTRO_RISE = 2;
 
-    // Create refs for the texture loaders with updated blobby versions
-    const colorMapRef = useRef(
-        new THREE.TextureLoader().load(img.color, (texture) => {
-            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-            texture.repeat.set(1, 1);
-        })
+// Loads on its own, without holding up the rest of the scene
+export default function Terrain(props) {
+    return (
+        <Suspense fallback={null}>
+            <TerrainMesh {...props} />
+        </Suspense>
     );
+}
 
-    const normalMapRef = useRef(
-        new THREE.TextureLoader().load(img.normal, (texture) => {
-            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-            texture.repeat.set(1, 1);
-        })
-    );
+function TerrainMesh({ position, rotation, scale }) {
+    const meshRef = useRef();
+    const materialRef = useRef();
 
-    const displacementMapRef = useRef(new THREE.TextureLoader().load(img.height));
+    // Blobby maps, shared through the texture manager
+    const [colorMap, normalMap] = useManagedTexture([img.color, img.normal], { wrap: THREE.RepeatWrapping });
+    const displacementMap = useManagedTexture(img.height);
 
     useFrame((state) => {
+        // Rise and fade up with the scene intro
+        const intro = introProgress.terrain;
+        const material = materialRef.current;
+        if (material && meshRef.current) {
+            const fading = intro < 1;
+            if (material.transparent !== fading) {
+                material.transparent = fading;
+                material.depthWrite = !fading;
+                material.needsUpdate = true;
+            }
+            material.opacity = intro;
+            meshRef.current.position.y = position[1] - (1 - intro) * INTRO_RISE;
+        }
+
         // if (materialRef.current) {
         //   // Oscillate between purple (270) and blue (240) hues
         //   const time = state.clock.getElapsedTime();
@@ -62,9 +77,9 @@ export default function Terrain({ position, rotation, scale }) {
                 ref={materialRef}
                 roughness={0.8}
                 metalness={0.2}
-                map={colorMapRef.current}
-                normalMap={normalMapRef.current}
-                displacementMap={displacementMapRef.current}
+                map={colorMap}
+                normalMap={normalMap}
+                displacementMap={displacementMap}
                 displacementScale={8}
                 displacementBias={0}
             />
@@ -1,5 +1,6 @@
 import React from 'react';
 import { devError } from '../utils/devLog';
+import { t, subscribeLocale } from '../utils/i18n';
 
 class ErrorBoundary extends React.Component {
     constructor(props) {
@@ -11,6 +12,15 @@ class ErrorBoundary extends React.Component {
         };
     }
 
+    componentDidMount() {
+        // Re-render the fallback UI when the locale changes
+        this.unsubscribeLocale = subscribeLocale(() => this.state.hasError && this.forceUpdate());
+    }
+
+    componentWillUnmount() {
+        this.unsubscribeLocale?.();
+    }
+
     static getDerivedStateFromError(error) {
         return { hasError: true, error };
     }
@@ -38,9 +48,9 @@ class ErrorBoundary extends React.Component {
                     color: '#cc0000',
                     fontFamily: 'system-ui, -apple-system, sans-serif'
                 }}>
-                    <h2 style={{ margin: '0 0 10px 0' }}>Something went wrong</h2>
+                    <h2 style={{ margin: '0 0 10px 0' }}>{t('errors.title')}</h2>
                     <p style={{ margin: '0 0 10px 0' }}>
-                        {this.state.error?.message || 'An unexpected error occurred'}
+                        {this.state.error?.message || t('errors.unexpected')}
                     </p>
                     <button
                         onClick={() => {
@@ -56,11 +66,11 @@ class ErrorBoundary extends React.Component {
                             cursor: 'pointer'
                         }}
                     >
-                        Try Again
+                        {t('errors.tryAgain')}
                     </button>
                     {process.env.NODE_ENV === 'development' && this.state.errorInfo && (
                         <details style={{ marginTop: '10px' }}>
-                            <summary>Error Details</summary>
+                            <summary>{t('errors.details')}</summary>
                             <pre style={{
                                 marginTop: '10px',
                                 padding: '10px',
@@ -1,5 +1,6 @@
 import React from 'react';
 import { devError } from '../utils/devLog';
+import { t, subscribeLocale } from '../utils/i18n';
 
 class ThreeErrorBoundary extends React.Component {
     constructor(props) {
@@ -11,6 +12,15 @@ class ThreeErrorBoundary extends React.Component {
         };
     }
 
+    componentDidMount() {
+        // Re-render the fallback UI when the locale changes
+        this.unsubscribeLocale = subscribeLocale(() => this.state.hasError && this.forceUpdate());
+    }
+
+    componentWillUnmount() {
+        this.unsubscribeLocale?.();
+    }
+
     static getDerivedStateFromError(error) {
         return { hasError: true, error };
     }
@@ -49,9 +59,9 @@ class ThreeErrorBoundary extends React.Component {
                     textAlign: 'center',
                     backdropFilter: 'blur(5px)'
                 }}>
-                    <h2 style={{ margin: '0 0 10px 0' }}>3D Scene Error</h2>
+                    <h2 style={{ margin: '0 0 10px 0' }}>{t('errors.sceneTitle')}</h2>
                     <p style={{ margin: '0 0 10px 0' }}>
-                        {this.state.error?.message || 'An error occurred in the 3D scene'}
+                        {this.state.error?.message || t('errors.sceneUnexpected')}
                     </p>
                     <button
                         onClick={() => {
@@ -72,7 +82,7 @@ class ThreeErrorBoundary extends React.Component {
                             marginRight: '10px'
                         }}
                     >
-                        Retry Scene
+                        {t('errors.retryScene')}
                     </button>
                     <button
                         onClick={() => {
@@ -89,11 +99,11 @@ class ThreeErrorBoundary extends React.Component {
                             cursor: 'pointer'
                         }}
                     >
-                        Show Fallback
+                        {t('errors.showFallback')}
                     </button>
                     {process.env.NODE_ENV === 'development' && this.state.errorInfo && (
                         <details style={{ marginTop: '10px' }}>
-                            <summary>Error Details</summary>
+                            <summary>{t('errors.details')}</summary>
                             <pre style={{
                                 marginTop: '10px',
                                 padding: '10px',
@@ -1,4 +1,11 @@
 import { devLog, devWarn, devError } from './utils/devLog';
+import { registerProjectSource, loadProjects, getRootSetting } from './utils/projectSources';
+import { computeFrameLayout } from './utils/frameLayout';
+import { parseSrcset, pickSrcsetCandidate } from './utils/srcset';
+import { extractMetadataFromElement } from './utils/projectMetadata';
+
+// Approximate on-screen width (CSS px) of a frame image in the overview
+const INITIAL_FRAME_DISPLAY_WIDTH = 360;
 
 // Cache for storing image data
 const imageCache = new Map();
@@ -38,15 +45,15 @@ const extractProjectDataFromDOM = () => {
       hasLink: !!el.querySelector('a')
     })));
 
-    // Limit to first 9 projects (matching the original API limit)
-    const limitedElements = projectElements.slice(0, 9);
-
-    const data = limitedElements.map((element, idx) => {
+    const data = projectElements.map((element, idx) => {
       // Extract slug from <a href>
       const linkEl = element.querySelector('a[href]');
       let slug = '';
+      let link = null;
       if (linkEl) {
         const href = linkEl.getAttribute('href');
+        // Resolved against the page, as the detail panel fetches it later
+        link = linkEl.href || href;
         if (href) {
           const parts = href.split('/');
           slug = parts[parts.length - 1] || parts[parts.length - 2] || '';
@@ -61,22 +68,16 @@ const extractProjectDataFromDOM = () => {
       // Extract image URL from img tag
       const imgEl = element.querySelector('img');
       let imageUrl = '';
+      let srcset = [];
       if (imgEl) {
         devLog(`Element ${idx} has image:`, imgEl.getAttribute('src'));
-        // Try to get the best quality image from srcset
-        const srcset = imgEl.getAttribute('srcset');
-        if (srcset) {
-          devLog(`Element ${idx} has srcset:`, srcset);
-          // Look for 720w or 800w image first, then fallback to first available
-          const match = srcset.match(/([^\s]+)\s+(720w|800w)/);
-          if (match) {
-            imageUrl = match[1];
-            devLog(`Element ${idx} using srcset match:`, imageUrl);
-          } else {
-            // Fallback to first image in srcset
-            imageUrl = srcset.split(',')[0].split(' ')[0];
-            devLog(`Element ${idx} using first srcset:`, imageUrl);
-          }
+        srcset = parseSrcset(imgEl.getAttribute('srcset'));
+        // Start with a candidate sized for the frame's default on-screen size;
+        // Frame upgrades it once it knows how large it is actually rendered
+        const candidate = pickSrcsetCandidate(srcset, { displayWidth: INITIAL_FRAME_DISPLAY_WIDTH });
+        if (candidate) {
+          imageUrl = candidate.url;
+          devLog(`Element ${idx} using srcset candidate:`, candidate);
         } else {
           // Fallback to src attribute
           imageUrl = imgEl.getAttribute('src') || '';
@@ -98,12 +99,29 @@ const extractProjectDataFromDOM = () => {
       // Assign data-carousel-index for easier matching (following carousel pattern)
       element.setAttribute('data-carousel-index', idx);
 
-      devLog(`Extracted project ${idx}: ${name} (${slug}) -> ${imageUrl}`);
+      // Preview clip and portal hero model from data-three-video / data-three-model
+      // on the item or one of its children
+      const readAttribute = (name) => {
+        const el = element.matches(`[${name}]`) ? element : element.querySelector(`[${name}]`);
+        return el?.getAttribute(name) || null;
+      };
+      const video = readAttribute('data-three-video');
+      const model = readAttribute('data-three-model');
+
+      // Category, year, client and brand colour (see utils/projectMetadata.js)
+      const metadata = extractMetadataFromElement(element);
+
+      devLog(`Extracted project ${idx}: ${name} (${slug}) -> ${imageUrl}`, metadata);
 
       return {
         slug,
         name,
         images: [imageUrl], // Match the API structure
+        srcset,
+        metadata,
+        link,
+        video,
+        model,
         index: idx
       };
     }).filter(Boolean); // Remove any null entries
@@ -117,74 +135,72 @@ const extractProjectDataFromDOM = () => {
   }
 };
 
-const getApiData = async () => {
+// Webflow CMS list rendered in the host page
+registerProjectSource({
+  name: 'dom',
+  priority: 0,
+  isAvailable: () => !!document.querySelector('div[data-three="thumbnail"].project-links-item'),
+  load: async () => extractProjectDataFromDOM(),
+});
+
+// Layout options with the strategy defaulting to data-three-layout, then "horseshoe"
+const resolveLayoutOptions = (layout = {}) => ({
+  strategy: getRootSetting('layout') || 'horseshoe',
+  ...layout,
+});
+
+/**
+ * (Re)compute frame placements for a list of images, e.g. after filtering
+ * @param {Object[]} images - Images as returned by getApiData
+ * @param {Object} [layout] - Layout options for computeFrameLayout
+ * @returns {Object[]} Copies of the images with new position and rotation
+ */
+export const layoutImages = (images, layout = {}) => {
+  const placements = computeFrameLayout(images.length, resolveLayoutOptions(layout));
+  return images.map((image, index) => ({
+    ...image,
+    position: placements[index].position,
+    rotation: placements[index].rotation,
+  }));
+};
+
+/**
+ * Load the projects and map them onto frame placements
+ * @param {Object} [options]
+ * @param {string} [options.source] - Force a source ("dom", "inline", "json"),
+ *   otherwise data-three-source on the root element or auto-detection decides
+ * @param {Object} [options.layout] - Layout options for computeFrameLayout; the
+ *   strategy defaults to data-three-layout on the root element, then "horseshoe"
+ */
+const getApiData = async ({ source: preferredSource, layout = {} } = {}) => {
+  const layoutOptions = resolveLayoutOptions(layout);
+
   // Check cache first
-  const cacheKey = 'dom-extracted-data';
+  const cacheKey = `projects:${preferredSource || 'auto'}:${JSON.stringify(layoutOptions)}`;
   if (imageCache.has(cacheKey)) {
-    devLog("Using cached DOM-extracted data");
+    devLog("Using cached project data");
     return imageCache.get(cacheKey);
   }
 
-  // Extract data from DOM instead of API
-  const projectData = extractProjectDataFromDOM();
+  const { source, projects } = await loadProjects(preferredSource);
 
-  if (projectData.length === 0) {
-    devWarn("No project data extracted from DOM, returning empty array");
+  if (projects.length === 0) {
+    devWarn(`No project data loaded from source "${source}", returning empty array`);
     return [];
   }
 
-  devLog(`Successfully extracted ${projectData.length} projects from DOM`);
-
-  const oldImages = [
-    // Front
-    {
-      position: [0, 0, 1.5],
-      rotation: [0, 0, 0],
-    },
-    // Back
-    {
-      position: [-0.8, 0, -0.6],
-      rotation: [0, 0, 0],
-    },
-    {
-      position: [0.8, 0, -0.6],
-      rotation: [0, 0, 0],
-    },
-    // Left
-    {
-      position: [-1.75, 0, 0.25],
-      rotation: [0, Math.PI / 2.5, 0],
-    },
-    {
-      position: [-2.15, 0, 1.5],
-      rotation: [0, Math.PI / 2.5, 0],
-    },
-    {
-      position: [-2, 0, 2.75],
-      rotation: [0, Math.PI / 2.5, 0],
-    },
-    // Right
-    {
-      position: [1.75, 0, 0.25],
-      rotation: [0, -Math.PI / 2.5, 0],
-    },
-    {
-      position: [2.15, 0, 1.5],
-      rotation: [0, -Math.PI / 2.5, 0],
-    },
-    {
-      position: [2, 0, 2.75],
-      rotation: [0, -Math.PI / 2.5, 0],
-    },
-  ];
-
-  const images = projectData.map((project, index) => ({
-    position: oldImages[index].position,
-    rotation: oldImages[index].rotation,
+  devLog(`Successfully loaded ${projects.length} projects from source "${source}"`);
+
+  const images = layoutImages(projects.map(project => ({
     url: project.images[0] || "https://placehold.co/600x400",
     name: project.name,
     slug: project.slug,
-  }));
+    srcset: project.srcset,
+    metadata: project.metadata,
+    link: project.link,
+    video: project.video,
+    model: project.model,
+  })), layoutOptions);
 
   // Cache the results
   imageCache.set(cacheKey, images);
@@ -202,25 +218,10 @@ const getApiData = async () => {
   return images;
 };
 
-// Keep the old fetchImageData function for reference but mark as deprecated
-const fetchImageData = async (webhookUrl) => {
-  devWarn("fetchImageData is deprecated - using DOM extraction instead");
-  try {
-    const response = await fetch(webhookUrl);
-
-    if (!response.ok) {
-      throw new Error(
-        `Failed to fetch image data: ${response.status} ${response.statusText}`
-      );
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    devError("Error fetching image data:", error);
-    // Return empty array as fallback
-    return [];
-  }
+// Drop cached project data so the next getApiData call re-extracts
+export const invalidateProjectCache = () => {
+  devLog("Invalidating cached project data");
+  imageCache.clear();
 };
 
 export default getApiData;
@@ -0,0 +1,84 @@
+// German strings. Missing keys fall back to English.
+export default {
+    app: {
+        loadingProjects: 'Projekte werden geladen...',
+    },
+    errors: {
+        title: 'Etwas ist schiefgelaufen',
+        unexpected: 'Ein unerwarteter Fehler ist aufgetreten',
+        tryAgain: 'Erneut versuchen',
+        details: 'Fehlerdetails',
+        sceneTitle: 'Fehler in der 3D-Szene',
+        sceneUnexpected: 'In der 3D-Szene ist ein Fehler aufgetreten',
+        retryScene: 'Szene neu laden',
+        showFallback: 'Alternative anzeigen',
+    },
+    header: {
+        loading: 'Wird geladen...',
+        // null keeps the baked GLB header; pages opt in through their heading
+        text: null,
+    },
+    assets: {
+        siteHeadings: null,
+    },
+    frame: {
+        client: 'für {client}',
+    },
+    frames: {
+        label: 'Projekte',
+        focused: '{name}, Projekt {index} von {count}',
+        opened: '{name} geöffnet. Mit Escape geht es zurück.',
+        filter: {
+            label: 'Projekte nach Kategorie filtern',
+            all: 'Alle',
+        },
+        details: {
+            loading: 'Projektdetails werden geladen...',
+            error: 'Die Projektdetails konnten nicht geladen werden.',
+            credits: 'Credits',
+            gallery: 'Galerie',
+            viewProject: 'Zur Projektseite',
+        },
+    },
+    contact: {
+        fields: {
+            name: 'Name',
+            email: 'E-Mail',
+            company: 'Firma',
+            message: 'Nachricht',
+        },
+        honeypot: 'Dieses Feld bitte leer lassen',
+        validation: {
+            nameRequired: 'Bitte gib deinen Namen an.',
+            nameTooLong: 'Bitte halte deinen Namen unter 100 Zeichen.',
+            emailRequired: 'Bitte gib deine E-Mail-Adresse an.',
+            emailInvalid: 'Diese E-Mail-Adresse sieht nicht richtig aus.',
+            companyTooLong: 'Bitte halte den Firmennamen unter 100 Zeichen.',
+            messageRequired: 'Bitte schreib uns eine Nachricht.',
+            messageTooShort: 'Deine Nachricht sollte mindestens 10 Zeichen lang sein.',
+            messageTooLong: 'Bitte halte deine Nachricht unter 5000 Zeichen.',
+        },
+        spam: {
+            tooFast: 'Das ging schnell! Bitte prüfe deine Nachricht kurz und sende sie dann erneut.',
+            rateLimited: 'Du hast kürzlich mehrere Nachrichten gesendet. Bitte versuche es in ein paar Minuten erneut.',
+        },
+        status: {
+            verifying: 'Wird geprüft...',
+            queued: 'In der Warteschlange – wir senden sie, sobald du wieder online bist.',
+            sending: 'Wird gesendet...',
+            sent: 'Danke! Deine Nachricht wurde gesendet.',
+            failed: 'Etwas ist schiefgelaufen. Bitte versuche es erneut.',
+        },
+        errors: {
+            noEndpoint: 'Das Kontaktformular ist noch nicht eingerichtet. Bitte schreib uns direkt eine E-Mail.',
+            rejected: 'Deine Nachricht wurde nicht angenommen. Bitte prüfe sie und versuche es erneut.',
+            invalid: 'Etwas in deiner Nachricht wurde nicht akzeptiert. Bitte prüfe die Felder und versuche es erneut.',
+            unavailable: 'Unser Server ist gerade nicht erreichbar. Bitte versuche es später erneut.',
+        },
+        submit: 'Nachricht senden',
+        waiting: {
+            one: '1 frühere Nachricht wartet und wird automatisch gesendet.',
+            other: '{count} frühere Nachrichten warten und werden automatisch gesendet.',
+        },
+    },
+};
@@ -0,0 +1,85 @@
+// English strings. Keys are grouped by the component that shows them.
+export default {
+    app: {
+        loadingProjects: 'Loading projects from DOM...',
+    },
+    errors: {
+        title: 'Something went wrong',
+        unexpected: 'An unexpected error occurred',
+        tryAgain: 'Try Again',
+        details: 'Error Details',
+        sceneTitle: '3D Scene Error',
+        sceneUnexpected: 'An error occurred in the 3D scene',
+        retryScene: 'Retry Scene',
+        showFallback: 'Show Fallback',
+    },
+    header: {
+        loading: 'Loading...',
+        // null keeps the baked GLB header, which was authored in English
+        text: null,
+    },
+    assets: {
+        // Per-locale models as { local, remote } URLs; null uses the default export
+        siteHeadings: null,
+    },
+    frame: {
+        client: 'for {client}',
+    },
+    frames: {
+        label: 'Projects',
+        focused: '{name}, project {index} of {count}',
+        opened: '{name} opened. Press Escape to go back.',
+        filter: {
+            label: 'Filter projects by category',
+            all: 'All',
+        },
+        details: {
+            loading: 'Loading project details...',
+            error: 'The project details could not be loaded.',
+            credits: 'Credits',
+            gallery: 'Gallery',
+            viewProject: 'View project page',
+        },
+    },
+    contact: {
+        fields: {
+            name: 'Name',
+            email: 'Email',
+            company: 'Company',
+            message: 'Message',
+        },
+        honeypot: 'Leave this field empty',
+        validation: {
+            nameRequired: 'Please tell us your name.',
+            nameTooLong: 'Please keep your name under 100 characters.',
+            emailRequired: 'Please enter your email address.',
+            emailInvalid: 'This email address doesn\'t look right.',
+            companyTooLong: 'Please keep the company name under 100 characters.',
+            messageRequired: 'Please enter a message.',
+            messageTooShort: 'Your message should be at least 10 characters.',
+            messageTooLong: 'Please keep your message under 5000 characters.',
+        },
+        spam: {
+            tooFast: 'That was quick! Please take a moment to check your message, then send it again.',
+            rateLimited: 'You\'ve sent several messages recently. Please try again in a few minutes.',
+        },
+        status: {
+            verifying: 'Verifying...',
+            queued: 'Queued – we\'ll send it as soon as you\'re back online.',
+            sending: 'Sending...',
+            sent: 'Thanks! Your message has been sent.',
+            failed: 'Something went wrong. Please try again.',
+        },
+        errors: {
+            noEndpoint: 'The contact form isn\'t set up yet. Please email us directly.',
+            rejected: 'Your message couldn\'t be accepted. Please check it and try again.',
+            invalid: 'Something in your message wasn\'t accepted. Please check the fields and try again.',
+            unavailable: 'We couldn\'t reach our server. Please try again later.',
+        },
+        submit: 'Send message',
+        waiting: {
+            one: '1 earlier message is queued and will be sent automatically.',
+            other: '{count} earlier messages are queued and will be sent automatically.',
+        },
+    },
+};
@@ -1,10 +1,18 @@
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import "./index.css";
+import { Router } from "wouter";
 import App from "./App.jsx";
+import { useHashLocation } from "./utils/useHashLocation";
 
 createRoot(document.getElementById("projects-root-threed")).render(
   <StrictMode>
-    <App />
+    {/* Project deep links live in the hash, e.g. #/project/some-slug */}
+    <Router hook={useHashLocation}>
+      <App />
+    </Router>
   </StrictMode>
 );
+
+// Public API on the bundle's global, e.g. MyWidget.introTimeline.replay()
+export { introTimeline } from "./utils/introTimeline";
@@ -0,0 +1,22 @@
+import { MeshStandardMaterial, Color, DoubleSide, LinearSRGBColorSpace } from "three";
+
+// Match the materials baked into contact_header-transformed.glb so runtime
+// text looks the same as the exported header. glTF base colours are linear.
+
+// "Material.001": the copper bevel behind the letters
+export const headerBevelMaterial = new MeshStandardMaterial({
+  name: "Material.001",
+  color: new Color().setRGB(0.8, 0.4417, 0.1414, LinearSRGBColorSpace),
+  roughness: 0.024,
+  metalness: 1,
+  side: DoubleSide,
+});
+
+// "White": the letter faces
+export const headerWhiteMaterial = new MeshStandardMaterial({
+  name: "White",
+  color: new Color().setRGB(0.8, 0.8, 0.8, LinearSRGBColorSpace),
+  roughness: 0.185,
+  metalness: 0.5,
+  side: DoubleSide,
+});
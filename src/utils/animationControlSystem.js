@@ -1,14 +1,22 @@
 import * as THREE from "three";
 
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
 /**
  * Controls an animation sequence that can be played in both directions
  * based on scroll progress.
+ *
+ * Entries are either animation clips (`{ action, triggerPoint, duration }`)
+ * scrubbed through their mixer, or plain tracks
+ * (`{ update(localProgress), triggerPoint, duration }`) such as a camera path.
+ * Everything is a function of the scroll progress, so scrolling back up plays
+ * the sequence in reverse.
  */
 export class ScrollAnimationController {
   constructor() {
     this.animations = [];
     this.currentProgress = 0;
-    this.previousProgress = 0;
+    this.previousProgress = null;
   }
 
   /**
@@ -27,22 +35,40 @@ export class ScrollAnimationController {
     return this;
   }
 
+  /**
+   * Add a track called with its local progress (0-1) whenever the scroll
+   * progress moves through or past its window
+   * @param {Object} track - { update(localProgress), triggerPoint = 0, duration = 1 }
+   */
+  addTrack(track) {
+    this.animations.push({ triggerPoint: 0, duration: 1, ...track, isTrack: true });
+    this.animations.sort((a, b) => a.triggerPoint - b.triggerPoint);
+    return this;
+  }
+
   /**
    * Update animations based on scroll progress (0-1)
    */
   update(progress) {
-    const isScrollingDown = progress > this.previousProgress;
-    const delta = progress - this.previousProgress;
-
-    if (Math.abs(delta) < 0.001) return;
+    this.currentProgress = progress;
+    if (progress === this.previousProgress) return;
 
     this.animations.forEach((anim) => {
-      const shouldActivate =
-        (progress >= anim.triggerPoint &&
-          progress < anim.triggerPoint + anim.duration) ||
-        (anim.isPlaying && Math.abs(progress - anim.triggerPoint) < 0.1);
+      const localProgress = clamp01((progress - anim.triggerPoint) / anim.duration);
+      const previousLocal = this.previousProgress === null
+        ? null
+        : clamp01((this.previousProgress - anim.triggerPoint) / anim.duration);
+
+      // Nothing to do while the progress stays on one side of the window, but a
+      // jump across it still lands on the start or end state
+      if (localProgress === previousLocal) return;
+
+      if (anim.isTrack) {
+        anim.update(localProgress);
+        return;
+      }
 
-      if (shouldActivate && !anim.isPlaying) {
+      if (!anim.isPlaying) {
         anim.isPlaying = true;
         anim.action.reset();
         anim.action.clampWhenFinished = true;
@@ -50,26 +76,8 @@ export class ScrollAnimationController {
         anim.action.play();
       }
 
-      if (anim.isPlaying) {
-        const localProgress = Math.max(
-          0,
-          Math.min(1, (progress - anim.triggerPoint) / anim.duration)
-        );
-        const clipDuration = anim.action.getClip().duration;
-
-        if (isScrollingDown) {
-          anim.mixer.setTime(localProgress * clipDuration);
-        } else {
-          anim.mixer.setTime((1 - localProgress) * clipDuration);
-        }
-
-        if (
-          progress < anim.triggerPoint ||
-          progress > anim.triggerPoint + anim.duration
-        ) {
-          anim.isPlaying = false;
-        }
-      }
+      // The clip time follows the progress in both directions
+      anim.mixer.setTime(localProgress * anim.action.getClip().duration);
     });
 
     this.previousProgress = progress;
@@ -80,7 +88,7 @@ export class ScrollAnimationController {
    */
   dispose() {
     this.animations.forEach((anim) => {
-      anim.action.stop();
+      anim.action?.stop();
     });
     this.animations = [];
   }
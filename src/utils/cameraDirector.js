@@ -0,0 +1,309 @@
+import * as THREE from 'three';
+import { gsap } from 'gsap';
+import { devLog, devWarn } from './devLog';
+import { introProgress, introTimeline } from './introTimeline';
+
+/**
+ * Camera director: one place that decides where the camera is.
+ *
+ * A shot describes a camera pose and who drives the camera while it is active:
+ *
+ * {
+ *   position: Vector3 | (params) => Vector3,  // may be re-evaluated every frame
+ *   target: Vector3 | (params) => Vector3,    // look-at point
+ *   fov: number | (params) => number,
+ *   controller: 'parallax' | 'director',      // parallax: MouseCameraController moves
+ *                                             // around the pose; director: held still
+ *   duration: number,                         // transition into the shot, seconds
+ *   ease: string,                             // GSAP ease name
+ *   priority: number,                         // see interruption rules
+ *   interruptible: boolean,                   // may a transition into it be cut short
+ * }
+ *
+ * Interruption rules for requestCameraShot():
+ * - while a non-interruptible transition runs, requests are queued
+ * - a shot with a lower priority than the current one is queued until the
+ *   current shot is released
+ * - otherwise the new transition starts from wherever the camera is, so
+ *   interrupted moves continue smoothly
+ * Only the latest queued request is kept; `force` skips the rules.
+ *
+ * Any component can request a shot. The CameraDirector component applies the
+ * pose every frame.
+ */
+
+const DEFAULT_SHOT = 'idle';
+const INTRO_OFFSET = new THREE.Vector3(0, 1.5, 4);
+const CONTACT_FORM_LEAN = 0.8;
+
+const shots = new Map();
+const listeners = new Set();
+
+// Where the scene is framed from; set by the app through setCameraStage()
+const stage = {
+    position: new THREE.Vector3(0, 8, 5),
+    target: new THREE.Vector3(0, 7.8, -3),
+    fov: 60,
+};
+
+const pose = {
+    position: stage.position.clone(),
+    target: stage.target.clone(),
+    fov: stage.fov,
+};
+
+let current = { name: 'intro', params: null };
+let transition = null;
+let pending = null;
+
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+
+const toVector = (value, out) => (Array.isArray(value) ? out.fromArray(value) : out.copy(value));
+
+const resolve = (value, params) => (typeof value === 'function' ? value(params) : value);
+
+const notify = () => {
+    const shot = getCameraShot();
+    listeners.forEach(listener => listener(shot));
+};
+
+/**
+ * Register or replace a named shot
+ * @param {string} name - Shot name
+ * @param {Object} shot - Shot definition, see above
+ */
+export const registerCameraShot = (name, shot) => {
+    shots.set(name, {
+        fov: () => stage.fov,
+        controller: 'parallax',
+        duration: 1.2,
+        ease: 'power2.inOut',
+        priority: 0,
+        interruptible: true,
+        ...shot,
+    });
+};
+
+/**
+ * Set the resting camera position, look-at target and fov the built-in shots
+ * are framed from
+ * @param {Object} options - Any of position, target (Vector3 or [x, y, z]) and fov
+ */
+export const setCameraStage = ({ position, target, fov } = {}) => {
+    if (position) toVector(position, stage.position);
+    if (target) toVector(target, stage.target);
+    if (fov) stage.fov = fov;
+};
+
+export const getCameraStage = () => stage;
+
+export const getCameraShot = () => ({
+    name: current.name,
+    params: current.params,
+    transitioning: !!transition,
+    pending: pending?.name ?? null,
+});
+
+export const getCameraPose = () => pose;
+
+// Controller of the shot being shown or transitioned to
+export const getActiveCameraController = () => shots.get(current.name)?.controller ?? 'parallax';
+
+/**
+ * @param {Function} listener - Called with getCameraShot() when the shot changes
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeCameraShot = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const startShot = (request) => {
+    const shot = shots.get(request.name);
+    const { duration = shot.duration, ease = shot.ease, onComplete, onInterrupt } = request.options;
+
+    if (transition) {
+        devLog(`Camera shot "${transition.name}" interrupted by "${request.name}"`);
+        transition.onInterrupt?.();
+    }
+
+    current = { name: request.name, params: request.params };
+    transition = {
+        name: request.name,
+        // The starting pose is captured on the next update, when the camera is known
+        from: null,
+        start: null,
+        duration,
+        ease: gsap.parseEase(ease),
+        priority: shot.priority,
+        interruptible: shot.interruptible,
+        onComplete,
+        onInterrupt,
+    };
+    devLog(`Camera shot "${request.name}" (${duration}s)`);
+    notify();
+};
+
+/**
+ * Ask the director for a shot
+ * @param {string} name - Registered shot name
+ * @param {Object} [params] - Passed to the shot's position/target/fov functions
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.duration] - Override the shot's transition duration
+ * @param {string} [options.ease] - Override the shot's ease
+ * @param {boolean} [options.force=false] - Ignore the interruption rules
+ * @param {Function} [options.onComplete] - Called once the shot is reached
+ * @param {Function} [options.onInterrupt] - Called if another shot cuts in first
+ * @returns {'started'|'queued'|'ignored'}
+ */
+export const requestCameraShot = (name, params = null, options = {}) => {
+    const shot = shots.get(name);
+    if (!shot) {
+        devWarn(`Unknown camera shot "${name}"`);
+        return 'ignored';
+    }
+
+    const request = { name, params, options };
+    if (!options.force) {
+        if (current.name === name && current.params === params) return 'ignored';
+
+        const currentShot = shots.get(current.name);
+        const blocked = (transition && !transition.interruptible) ||
+            (currentShot && shot.priority < currentShot.priority);
+        if (blocked) {
+            devLog(`Camera shot "${name}" queued behind "${current.name}"`);
+            pending = request;
+            notify();
+            return 'queued';
+        }
+    }
+
+    pending = null;
+    startShot(request);
+    return 'started';
+};
+
+/**
+ * Give up a shot: if it is showing, continue with the queued request or the
+ * idle shot; if it is queued, drop it
+ * @param {string} name - Shot name
+ * @param {Object} [options] - Transition options, as for requestCameraShot
+ * @returns {boolean} Whether a transition started (and its callbacks will run)
+ */
+export const releaseCameraShot = (name, options = {}) => {
+    if (pending?.name === name) {
+        pending = null;
+        notify();
+        return false;
+    }
+    if (current.name !== name) return false;
+
+    const next = pending || { name: DEFAULT_SHOT, params: null, options: {} };
+    pending = null;
+    startShot({ ...next, options: { ...next.options, ...options } });
+    return true;
+};
+
+/**
+ * Advance the director and return the pose for this frame. Called once per
+ * frame by the CameraDirector component.
+ * @param {THREE.PerspectiveCamera} camera - The scene camera
+ * @param {number} time - Elapsed time in seconds
+ * @returns {{ position: THREE.Vector3, target: THREE.Vector3, fov: number }}
+ */
+export const updateCameraDirector = (camera, time) => {
+    const shot = shots.get(current.name);
+    const params = current.params;
+    const position = toVector(resolve(shot.position, params), _position);
+    const target = toVector(resolve(shot.target, params), _target);
+    const fov = resolve(shot.fov, params);
+
+    if (!transition) {
+        pose.position.copy(position);
+        pose.target.copy(target);
+        pose.fov = fov;
+        return pose;
+    }
+
+    if (!transition.from) {
+        transition.start = time;
+        transition.from = {
+            // The parallax rig adds its own offset on top of the pose, so only
+            // shots that hold the camera still start from the camera itself
+            position: (shot.controller === 'director' ? camera.position : pose.position).clone(),
+            target: pose.target.clone(),
+            fov: camera.fov,
+        };
+    }
+
+    const { from } = transition;
+    const progress = transition.duration > 0
+        ? Math.min(1, (time - transition.start) / transition.duration)
+        : 1;
+    const eased = transition.ease(progress);
+    pose.position.lerpVectors(from.position, position, eased);
+    pose.target.lerpVectors(from.target, target, eased);
+    pose.fov = THREE.MathUtils.lerp(from.fov, fov, eased);
+
+    if (progress >= 1) {
+        const { onComplete } = transition;
+        transition = null;
+        notify();
+        onComplete?.();
+        // A request queued behind the finished transition goes next
+        if (pending && shots.get(pending.name).priority >= (shot.priority ?? 0)) {
+            const next = pending;
+            pending = null;
+            startShot(next);
+        }
+    }
+    return pose;
+};
+
+const introPosition = () =>
+    stage.position.clone().addScaledVector(INTRO_OFFSET, 1 - introProgress.camera);
+
+// Opening shot: pulled back and settling in as the intro timeline plays
+registerCameraShot('intro', {
+    position: introPosition,
+    target: () => stage.target,
+    duration: 0,
+});
+
+// Resting framing of the header, with the parallax rig active
+registerCameraShot('idle', {
+    position: () => stage.position,
+    target: () => stage.target,
+});
+
+// Lean in towards the header while a contact form is focused
+registerCameraShot('contact-form', {
+    position: () => {
+        const direction = new THREE.Vector3().subVectors(stage.target, stage.position).normalize();
+        return stage.position.clone().addScaledVector(direction, CONTACT_FORM_LEAN);
+    },
+    target: () => stage.target,
+    duration: 0.8,
+    ease: 'power2.out',
+});
+
+// Close-up of one project frame; params: { position, target }
+registerCameraShot('project-focus', {
+    position: params => params.position,
+    target: params => params.target,
+    fov: 70,
+    controller: 'director',
+    duration: 1,
+    priority: 1,
+});
+
+// Hand over from the intro to the resting shot once the intro has finished,
+// and back when it is replayed
+introTimeline.subscribe((status) => {
+    if (status === 'complete' && current.name === 'intro') {
+        requestCameraShot('idle', null, { duration: 0 });
+    } else if (status === 'playing' && current.name === 'idle') {
+        requestCameraShot('intro', null, { duration: 0 });
+    }
+});
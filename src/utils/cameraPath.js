@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+
+/**
+ * Spline camera path for the scroll-driven shot.
+ *
+ * Keyframes are `{ at, position, target, fov? }`: `at` is the scroll progress
+ * (0-1) at which the camera passes `position` looking at `target`. Positions
+ * and targets are joined by separate Catmull-Rom splines, so the camera glides
+ * through the keyframes while its look-at point moves along its own path.
+ *
+ * `{ at, stage: true }` stands for the camera director's stage, wherever
+ * FitCameraToModel has moved it (see resolveStageKeyframes).
+ */
+
+// Starts at the resting header shot and descends over the terrain to the frames
+export const DEFAULT_CAMERA_PATH = [
+    { at: 0, stage: true },
+    { at: 0.35, position: [2.5, 5.5, 4], target: [0, 4.5, -3] },
+    { at: 0.7, position: [-1.5, 2.8, 5], target: [0, 0.8, -1] },
+    { at: 1, position: [0, 1.6, 4.2], target: [0, 0, 0], fov: 55 },
+];
+
+/**
+ * Replace stage keyframes with the stage's position and target. Their fov is
+ * left out, so they keep the stage's fov as well.
+ * @param {Array} keyframes - Path keyframes
+ * @param {Object} stage - { position, target }, e.g. getCameraStage()
+ * @returns {Array} Keyframes createCameraPath accepts
+ */
+export const resolveStageKeyframes = (keyframes, stage) => keyframes.map(keyframe => (
+    keyframe.stage
+        ? { at: keyframe.at, position: stage.position.toArray(), target: stage.target.toArray() }
+        : keyframe
+));
+
+/**
+ * Build a path from keyframes
+ * @param {Array} keyframes - Keyframes sorted by `at`, at least two, with
+ *   stage keyframes resolved
+ * @returns {{ evaluate: Function }} evaluate(progress, out, defaultFov) fills
+ *   out.position, out.target and out.fov; keyframes without a fov use defaultFov
+ */
+export const createCameraPath = (keyframes) => {
+    const sorted = [...keyframes].sort((a, b) => a.at - b.at);
+    if (sorted.length < 2) {
+        throw new Error('A camera path needs at least two keyframes');
+    }
+
+    const toVector = value => (Array.isArray(value) ? new THREE.Vector3().fromArray(value) : value.clone());
+    const positions = new THREE.CatmullRomCurve3(sorted.map(keyframe => toVector(keyframe.position)), false, 'centripetal');
+    const targets = new THREE.CatmullRomCurve3(sorted.map(keyframe => toVector(keyframe.target)), false, 'centripetal');
+    const segments = sorted.length - 1;
+
+    // Map scroll progress onto the curve parameter so each keyframe is passed
+    // exactly at its `at`, whatever the spacing between keyframes
+    const toCurveParameter = (progress) => {
+        const clamped = Math.max(sorted[0].at, Math.min(sorted[segments].at, progress));
+        let index = 0;
+        while (index < segments - 1 && clamped > sorted[index + 1].at) index++;
+        const span = sorted[index + 1].at - sorted[index].at;
+        const local = span > 0 ? (clamped - sorted[index].at) / span : 0;
+        return { t: (index + local) / segments, index, local };
+    };
+
+    const fovAt = (index, local, defaultFov) => THREE.MathUtils.lerp(
+        sorted[index].fov ?? defaultFov,
+        sorted[index + 1].fov ?? defaultFov,
+        local
+    );
+
+    const evaluate = (progress, out, defaultFov) => {
+        const { t, index, local } = toCurveParameter(progress);
+        positions.getPoint(t, out.position);
+        targets.getPoint(t, out.target);
+        out.fov = fovAt(index, local, defaultFov);
+        return out;
+    };
+
+    return { evaluate };
+};
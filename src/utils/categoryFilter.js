@@ -0,0 +1,50 @@
+import { devLog } from './devLog';
+
+/**
+ * Shared category filter state. Both the host page's filter chips and scene
+ * components read and write it, so either side can drive the other.
+ * `null` means "all categories".
+ */
+
+let activeCategory = null;
+const listeners = new Set();
+
+const normalizeCategory = (category) => {
+    const text = typeof category === 'string' ? category.trim().toLowerCase() : '';
+    return !text || text === 'all' ? null : text;
+};
+
+export const getCategoryFilter = () => activeCategory;
+
+/**
+ * Set the active category
+ * @param {string|null} category - Category name, or null / "all" to show everything
+ */
+export const setCategoryFilter = (category) => {
+    const next = normalizeCategory(category);
+    if (next === activeCategory) return;
+    devLog(`Category filter: ${activeCategory || 'all'} -> ${next || 'all'}`);
+    activeCategory = next;
+    listeners.forEach(listener => listener(activeCategory));
+};
+
+export const subscribeCategoryFilter = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Check a project's categories against a filter
+ * @param {string[]} categories - Project categories
+ * @param {string|null} category - Active category
+ */
+export const matchesCategory = (categories = [], category) => {
+    const wanted = normalizeCategory(category);
+    if (!wanted) return true;
+    return categories.some(value => normalizeCategory(value) === wanted);
+};
+
+export const filterImagesByCategory = (images, category) => {
+    if (!normalizeCategory(category)) return images;
+    return images.filter(image => matchesCategory(image.metadata?.categories, category));
+};
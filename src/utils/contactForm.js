@@ -0,0 +1,136 @@
+import { getRootSetting } from './projectSources';
+import { devLog } from './devLog';
+import { t } from './i18n';
+
+// Mock endpoint served by the Vite dev server (see dev/mockContactEndpoint.js)
+const DEV_CONTACT_ENDPOINT = '/api/contact';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const CONTACT_FIELDS = [
+    { name: 'name', labelKey: 'contact.fields.name', type: 'text', autoComplete: 'name', required: true },
+    { name: 'email', labelKey: 'contact.fields.email', type: 'email', autoComplete: 'email', required: true },
+    { name: 'company', labelKey: 'contact.fields.company', type: 'text', autoComplete: 'organization', required: false },
+    { name: 'message', labelKey: 'contact.fields.message', type: 'textarea', required: true },
+];
+
+export const EMPTY_CONTACT = { name: '', email: '', company: '', message: '' };
+
+/**
+ * Validate contact form values
+ * @param {Object} values - { name, email, company, message }
+ * @returns {Object} Map of field name to localised error message; empty when valid
+ */
+export const validateContact = (values) => {
+    const errors = {};
+    const name = values.name?.trim() || '';
+    const email = values.email?.trim() || '';
+    const message = values.message?.trim() || '';
+
+    if (!name) {
+        errors.name = t('contact.validation.nameRequired');
+    } else if (name.length > 100) {
+        errors.name = t('contact.validation.nameTooLong');
+    }
+
+    if (!email) {
+        errors.email = t('contact.validation.emailRequired');
+    } else if (!EMAIL_PATTERN.test(email)) {
+        errors.email = t('contact.validation.emailInvalid');
+    }
+
+    if ((values.company?.trim() || '').length > 100) {
+        errors.company = t('contact.validation.companyTooLong');
+    }
+
+    if (!message) {
+        errors.message = t('contact.validation.messageRequired');
+    } else if (message.length < 10) {
+        errors.message = t('contact.validation.messageTooShort');
+    } else if (message.length > 5000) {
+        errors.message = t('contact.validation.messageTooLong');
+    }
+
+    return errors;
+};
+
+/**
+ * Endpoint the form posts to: data-three-contact-endpoint on the scene root,
+ * falling back to the local mock endpoint during development
+ * @returns {string|null}
+ */
+export const getContactEndpoint = () => {
+    return getRootSetting('contact-endpoint') || (import.meta.env.DEV ? DEV_CONTACT_ENDPOINT : null);
+};
+
+// Trim values into the JSON body sent to the endpoint. `spam` carries the
+// spam protection token (see spamProtection.js) through untouched.
+export const toContactPayload = (values) => ({
+    name: values.name.trim(),
+    email: values.email.trim(),
+    company: values.company?.trim() || '',
+    message: values.message.trim(),
+    ...(values.spam ? { spam: values.spam } : null),
+});
+
+/**
+ * Locale key describing why a submission failed, for the user; the raw error
+ * message is only meant for the dev log
+ * @param {Object} failure - { status, reason } of the error or queue entry
+ * @returns {string} Key under contact.errors, or contact.status.failed
+ */
+export const getContactErrorKey = ({ status, reason } = {}) => {
+    if (reason === 'no-endpoint') return 'contact.errors.noEndpoint';
+    if (status === 422) return 'contact.errors.rejected';
+    if (status === 429) return 'contact.spam.rateLimited';
+    if (status >= 400 && status < 500 && status !== 408) return 'contact.errors.invalid';
+    if (status >= 500) return 'contact.errors.unavailable';
+    return 'contact.status.failed';
+};
+
+/**
+ * POST the contact form as JSON
+ * @param {Object} values - Validated form values
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Overrides getContactEndpoint()
+ * @returns {Promise<Object>} Parsed JSON response ({} for empty or non-JSON bodies)
+ * @throws {Error} With a `status` property when the server responds with an error,
+ *   or reason 'no-endpoint' when there is nowhere to send it
+ */
+export const submitContact = async (values, { endpoint = getContactEndpoint() } = {}) => {
+    if (!endpoint) {
+        const error = new Error('No contact endpoint configured (data-three-contact-endpoint)');
+        error.reason = 'no-endpoint';
+        throw error;
+    }
+
+    const payload = toContactPayload(values);
+
+    devLog(`Submitting contact form to ${endpoint}`);
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+        const error = new Error(
+            `Failed to send message: ${response.status} ${response.statusText}`
+        );
+        error.status = response.status;
+        throw error;
+    }
+
+    // Any 2xx means the message was delivered; a body that isn't JSON must
+    // not turn that into an error the queue would retry (and send again)
+    if (!response.headers.get('Content-Type')?.includes('json')) {
+        return {};
+    }
+    try {
+        const text = await response.text();
+        return text ? JSON.parse(text) : {};
+    } catch (error) {
+        devLog(`Ignoring unreadable contact response: ${error.message}`);
+        return {};
+    }
+};
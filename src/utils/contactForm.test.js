@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getContactErrorKey, submitContact } from './contactForm';
+
+const ENDPOINT = 'https://example.com/contact';
+
+const VALUES = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    message: 'Hello from the test suite',
+};
+
+const reply = (body, contentType, status = 200) => new Response(body, {
+    status,
+    headers: contentType ? { 'Content-Type': contentType } : {},
+});
+
+describe('submitContact', () => {
+    beforeEach(() => {
+        vi.stubGlobal('fetch', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('returns the parsed JSON reply', async () => {
+        fetch.mockResolvedValue(reply('{"ok":true}', 'application/json; charset=utf-8'));
+
+        await expect(submitContact(VALUES, { endpoint: ENDPOINT })).resolves.toEqual({ ok: true });
+    });
+
+    it('treats a successful HTML or text reply as sent', async () => {
+        fetch
+            .mockResolvedValueOnce(reply('<p>Thanks!</p>', 'text/html'))
+            .mockResolvedValueOnce(reply('OK', null));
+
+        await expect(submitContact(VALUES, { endpoint: ENDPOINT })).resolves.toEqual({});
+        await expect(submitContact(VALUES, { endpoint: ENDPOINT })).resolves.toEqual({});
+    });
+
+    it('treats a malformed JSON reply as sent', async () => {
+        fetch.mockResolvedValue(reply('{"ok":', 'application/json'));
+
+        await expect(submitContact(VALUES, { endpoint: ENDPOINT })).resolves.toEqual({});
+    });
+
+    it('throws with the status on an error response', async () => {
+        fetch.mockResolvedValue(reply('Nope', 'text/plain', 503));
+
+        await expect(submitContact(VALUES, { endpoint: ENDPOINT })).rejects.toMatchObject({ status: 503 });
+    });
+
+    it('throws with a reason when no endpoint is configured', async () => {
+        await expect(submitContact(VALUES, { endpoint: null })).rejects.toMatchObject({ reason: 'no-endpoint' });
+        expect(fetch).not.toHaveBeenCalled();
+    });
+});
+
+describe('getContactErrorKey', () => {
+    it('maps failures to locale keys', () => {
+        expect(getContactErrorKey({ reason: 'no-endpoint' })).toBe('contact.errors.noEndpoint');
+        expect(getContactErrorKey({ status: 422 })).toBe('contact.errors.rejected');
+        expect(getContactErrorKey({ status: 429 })).toBe('contact.spam.rateLimited');
+        expect(getContactErrorKey({ status: 400 })).toBe('contact.errors.invalid');
+        expect(getContactErrorKey({ status: 503 })).toBe('contact.errors.unavailable');
+        expect(getContactErrorKey({ status: null })).toBe('contact.status.failed');
+    });
+});
@@ -0,0 +1,93 @@
+import { emitContactFormEvent } from './contactFormEvents';
+import { devLog } from './devLog';
+
+// Marks the host page's form (or its .w-form wrapper)
+export const HOST_FORM_SELECTOR = '[data-three="contact-form"]';
+
+const isShown = (element) => !!element && element.style.display !== 'none' &&
+    getComputedStyle(element).display !== 'none';
+
+/**
+ * Bridge between a Webflow form in the host page and the contact form event
+ * bus. Webflow submits over AJAX and then reveals the sibling .w-form-done or
+ * .w-form-fail block, which is how success and error are detected.
+ * @param {Object} options - Configuration options
+ * @param {string} [options.selector=HOST_FORM_SELECTOR] - Selector for the form or its wrapper
+ */
+export const createContactFormBridge = (options = {}) => {
+    const { selector = HOST_FORM_SELECTOR } = options;
+
+    let cleanup = null;
+    let discoveryObserver = null;
+
+    const attach = (marked) => {
+        const form = marked.tagName === 'FORM' ? marked : marked.querySelector('form');
+        if (!form) return false;
+
+        const wrapper = form.closest('.w-form') || form.parentElement;
+        const done = wrapper?.querySelector('.w-form-done');
+        const fail = wrapper?.querySelector('.w-form-fail');
+        devLog('Contact form bridge attached', { form, done, fail });
+
+        const handleFocusIn = (event) => emitContactFormEvent('focus', { field: event.target.name, source: 'host' });
+        const handleFocusOut = (event) => {
+            // Moving between fields shouldn't count as leaving the form
+            if (!form.contains(event.relatedTarget)) {
+                emitContactFormEvent('blur', { field: event.target.name, source: 'host' });
+            }
+        };
+        const handleInput = (event) => emitContactFormEvent('input', { field: event.target.name, source: 'host' });
+        const handleSubmit = () => emitContactFormEvent('submit', { source: 'host' });
+
+        form.addEventListener('focusin', handleFocusIn);
+        form.addEventListener('focusout', handleFocusOut);
+        form.addEventListener('input', handleInput);
+        form.addEventListener('submit', handleSubmit);
+
+        let doneShown = isShown(done);
+        let failShown = isShown(fail);
+        const resultObserver = new MutationObserver(() => {
+            if (isShown(done) && !doneShown) emitContactFormEvent('success', { source: 'host' });
+            if (isShown(fail) && !failShown) emitContactFormEvent('error', { source: 'host' });
+            doneShown = isShown(done);
+            failShown = isShown(fail);
+        });
+        [done, fail].filter(Boolean).forEach((element) => {
+            resultObserver.observe(element, { attributes: true, attributeFilter: ['style', 'class'] });
+        });
+
+        cleanup = () => {
+            form.removeEventListener('focusin', handleFocusIn);
+            form.removeEventListener('focusout', handleFocusOut);
+            form.removeEventListener('input', handleInput);
+            form.removeEventListener('submit', handleSubmit);
+            resultObserver.disconnect();
+        };
+        return true;
+    };
+
+    const start = () => {
+        if (cleanup || discoveryObserver) return;
+        const marked = document.querySelector(selector);
+        if (marked && attach(marked)) return;
+
+        // The form may be rendered after the scene (e.g. by a CMS embed)
+        discoveryObserver = new MutationObserver(() => {
+            const found = document.querySelector(selector);
+            if (found && attach(found)) {
+                discoveryObserver.disconnect();
+                discoveryObserver = null;
+            }
+        });
+        discoveryObserver.observe(document.body, { childList: true, subtree: true });
+    };
+
+    const stop = () => {
+        discoveryObserver?.disconnect();
+        discoveryObserver = null;
+        cleanup?.();
+        cleanup = null;
+    };
+
+    return { start, stop };
+};
@@ -0,0 +1,40 @@
+import { devLog } from './devLog';
+
+/**
+ * Event bus for contact form activity. Both the in-scene ContactForm and the
+ * bridge to the host page's Webflow form emit here; scene components
+ * subscribe to react (camera lean, particle pulses, header celebration).
+ *
+ * Event types: focus, blur, input, submit, success, error
+ */
+
+const listeners = new Map();
+let focused = false;
+
+export const CONTACT_FORM_EVENTS = ['focus', 'blur', 'input', 'submit', 'success', 'error'];
+
+/**
+ * Emit a contact form event
+ * @param {string} type - One of CONTACT_FORM_EVENTS
+ * @param {Object} [detail] - Extra data, e.g. { field } for input events
+ */
+export const emitContactFormEvent = (type, detail = {}) => {
+    if (type === 'focus') focused = true;
+    if (type === 'blur' || type === 'success') focused = false;
+    if (type !== 'input') {
+        devLog(`Contact form event: ${type}`, detail);
+    }
+    listeners.get(type)?.forEach(listener => listener(detail));
+};
+
+/**
+ * Subscribe to a contact form event
+ * @returns {Function} Unsubscribe
+ */
+export const onContactFormEvent = (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+};
+
+export const isContactFormFocused = () => focused;
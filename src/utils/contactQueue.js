@@ -0,0 +1,279 @@
+import { submitContact, toContactPayload } from './contactForm';
+import { devLog, devWarn } from './devLog';
+import { refreshProofOfWork } from './spamProtection';
+
+/**
+ * Offline-safe contact submission queue.
+ *
+ * Submissions are persisted in IndexedDB before they are sent, retried with
+ * exponential backoff, retried right away when the browser comes back
+ * online, and replayed on the next visit if the tab was closed first.
+ *
+ * Entry shape:
+ * { id, payload, endpoint, status: 'queued' | 'sending' | 'sent' | 'failed',
+ *   attempts, nextAttemptAt, createdAt, sentAt, lastError, lastStatus, lastReason }
+ * lastError is the raw message for logging; lastStatus (HTTP status) and
+ * lastReason (e.g. 'no-endpoint') are what the UI maps to a message.
+ */
+
+const DB_NAME = 'contact-form';
+const STORE_NAME = 'submissions';
+// Sent entries are kept briefly so the UI can show them, then pruned
+const SENT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Minimal key-value storage over IndexedDB, falling back to memory when
+ * IndexedDB is unavailable (e.g. some private browsing modes)
+ */
+const createStorage = () => {
+    let dbPromise = null;
+    const memory = new Map();
+
+    const getDb = () => {
+        if (!dbPromise) {
+            dbPromise = typeof indexedDB === 'undefined'
+                ? Promise.resolve(null)
+                : openDatabase().catch((error) => {
+                    devWarn('IndexedDB unavailable, contact queue kept in memory only:', error);
+                    return null;
+                });
+        }
+        return dbPromise;
+    };
+
+    const withStore = async (mode, callback) => {
+        const db = await getDb();
+        if (!db) return null;
+        const transaction = db.transaction(STORE_NAME, mode);
+        return requestToPromise(callback(transaction.objectStore(STORE_NAME)));
+    };
+
+    return {
+        getAll: async () => {
+            const result = await withStore('readonly', store => store.getAll());
+            return result ?? Array.from(memory.values());
+        },
+        put: async (entry) => {
+            memory.set(entry.id, entry);
+            await withStore('readwrite', store => store.put(entry));
+        },
+        delete: async (id) => {
+            memory.delete(id);
+            await withStore('readwrite', store => store.delete(id));
+        },
+    };
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// 4xx responses (other than timeouts / rate limits) won't succeed on retry
+const isRetryable = (error) => {
+    const status = error?.status;
+    return !status || status >= 500 || status === 408 || status === 429;
+};
+
+/**
+ * Create a contact queue
+ * @param {Object} options - Configuration options
+ * @param {Function} [options.send=submitContact] - (payload, { endpoint }) => Promise
+ * @param {Function} [options.prepare] - payload => Promise<payload>, run before every
+ *   attempt for data that has to be fresh when sent (e.g. a proof of work)
+ * @param {number} [options.baseDelay=2000] - First retry delay (ms)
+ * @param {number} [options.maxDelay=300000] - Upper bound for the retry delay (ms)
+ * @param {number} [options.maxAttempts=10] - Attempts before an entry is marked failed
+ * @param {Object} [options.storage] - { getAll, put, delete } persisting entries;
+ *   IndexedDB with an in-memory fallback by default
+ */
+export const createContactQueue = (options = {}) => {
+    const {
+        send = submitContact,
+        prepare = payload => payload,
+        baseDelay = 2000,
+        maxDelay = 5 * 60 * 1000,
+        maxAttempts = 10,
+        storage = createStorage(),
+    } = options;
+
+    const entries = new Map();
+    const listeners = new Set();
+    let timerId = null;
+    let processing = false;
+    let started = false;
+
+    const snapshot = () => Array.from(entries.values()).sort((a, b) => a.createdAt - b.createdAt);
+    const notify = () => {
+        const list = snapshot();
+        listeners.forEach(listener => listener(list));
+    };
+
+    const save = async (entry) => {
+        entries.set(entry.id, entry);
+        notify();
+        try {
+            await storage.put(entry);
+        } catch (error) {
+            devWarn('Failed to persist contact submission:', error);
+        }
+    };
+
+    const backoff = (attempts) => {
+        const delay = Math.min(maxDelay, baseDelay * 2 ** (attempts - 1));
+        // +-20% jitter so many tabs don't retry in lockstep
+        return delay * (0.8 + Math.random() * 0.4);
+    };
+
+    const scheduleNext = () => {
+        clearTimeout(timerId);
+        const pending = snapshot().filter(entry => entry.status === 'queued');
+        if (pending.length === 0) return;
+        const nextAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        timerId = setTimeout(flush, Math.max(0, nextAt - Date.now()));
+    };
+
+    const sendEntry = async (entry) => {
+        await save({ ...entry, status: 'sending' });
+        try {
+            const payload = await prepare(entry.payload);
+            await send(payload, entry.endpoint ? { endpoint: entry.endpoint } : undefined);
+            devLog(`Contact submission ${entry.id} sent`);
+            await save({ ...entry, status: 'sent', sentAt: Date.now(), lastError: null, lastStatus: null, lastReason: null });
+        } catch (error) {
+            const attempts = entry.attempts + 1;
+            const giveUp = !isRetryable(error) || attempts >= maxAttempts;
+            devWarn(`Contact submission ${entry.id} failed (attempt ${attempts})`, error);
+            await save({
+                ...entry,
+                status: giveUp ? 'failed' : 'queued',
+                attempts,
+                nextAttemptAt: Date.now() + backoff(attempts),
+                lastError: error?.message || String(error),
+                lastStatus: error?.status ?? null,
+                lastReason: error?.reason ?? null,
+            });
+        }
+    };
+
+    /**
+     * Send every queued entry that is due. `force` ignores the backoff timer,
+     * used when the browser reports it is back online.
+     */
+    const flush = async (force = false) => {
+        if (processing) return;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            devLog('Contact queue: offline, waiting for the online event');
+            return;
+        }
+
+        processing = true;
+        try {
+            const now = Date.now();
+            const due = snapshot().filter(entry =>
+                entry.status === 'queued' && (force || entry.nextAttemptAt <= now)
+            );
+            for (const entry of due) {
+                await sendEntry(entry);
+            }
+        } finally {
+            processing = false;
+            scheduleNext();
+        }
+    };
+
+    const handleOnline = () => {
+        devLog('Contact queue: back online, retrying');
+        flush(true);
+    };
+
+    /**
+     * Queue a submission and try to send it right away
+     * @param {Object} values - Validated form values
+     * @param {Object} [options]
+     * @param {string} [options.endpoint] - Endpoint override stored with the entry
+     * @returns {Promise<Object>} The queued entry
+     */
+    const enqueue = async (values, { endpoint } = {}) => {
+        const entry = {
+            id: createId(),
+            payload: toContactPayload(values),
+            endpoint: endpoint || null,
+            status: 'queued',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            createdAt: Date.now(),
+            sentAt: null,
+            lastError: null,
+            lastStatus: null,
+            lastReason: null,
+        };
+        await save(entry);
+        flush();
+        return entry;
+    };
+
+    /**
+     * Load persisted entries and replay anything left from an earlier visit
+     */
+    const start = async () => {
+        if (started) return;
+        started = true;
+        window.addEventListener('online', handleOnline);
+
+        try {
+            const stored = await storage.getAll();
+            const now = Date.now();
+            for (const entry of stored) {
+                if (entry.status === 'sent' && now - entry.sentAt > SENT_RETENTION_MS) {
+                    await storage.delete(entry.id);
+                    continue;
+                }
+                // A tab closed mid-request leaves entries in "sending"
+                entries.set(entry.id, entry.status === 'sending'
+                    ? { ...entry, status: 'queued', nextAttemptAt: now }
+                    : entry);
+            }
+            devLog(`Contact queue: restored ${entries.size} submissions`);
+            notify();
+        } catch (error) {
+            devWarn('Failed to restore contact queue:', error);
+        }
+
+        flush();
+    };
+
+    const stop = () => {
+        started = false;
+        clearTimeout(timerId);
+        window.removeEventListener('online', handleOnline);
+    };
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    return {
+        start,
+        stop,
+        enqueue,
+        flush,
+        subscribe,
+        getEntries: snapshot,
+    };
+};
+
+// Shared queue used by the contact form
+export const contactQueue = createContactQueue({ prepare: refreshProofOfWork });
@@ -0,0 +1,205 @@
+import { createServer } from 'node:http';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createContactHandler } from '../../dev/mockContactEndpoint';
+import { createContactQueue } from './contactQueue';
+
+const PATH = '/api/contact';
+
+const VALUES = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    message: 'Hello from the test suite',
+    spam: { honeypot: '', elapsedMs: 5000, pow: null },
+};
+
+const silentLogger = { info: () => {}, warn: () => {} };
+
+let server;
+let endpoint;
+let online = true;
+let queue;
+
+// The dev stand-in server, as the plugin mounts it
+const startServer = () => new Promise((resolve) => {
+    const handler = createContactHandler({ delay: 0, logger: silentLogger });
+    server = createServer((req, res) => {
+        req.url = req.url.slice(PATH.length) || '/';
+        handler(req, res);
+    });
+    server.listen(0, '127.0.0.1', () => {
+        endpoint = `http://127.0.0.1:${server.address().port}${PATH}`;
+        resolve();
+    });
+});
+
+const failNext = (count, status) => fetch(`${endpoint}/__fail?count=${count}&status=${status}`, { method: 'POST' });
+
+const waitForEntry = (id, predicate) => vi.waitFor(() => {
+    const entry = queue.getEntries().find(item => item.id === id);
+    if (!entry || !predicate(entry)) throw new Error(`Entry is ${entry?.status}`);
+    return entry;
+}, { timeout: 3000, interval: 10 });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stands in for the storage a later visit finds
+const createMemoryStorage = (initial = []) => {
+    const stored = new Map(initial.map(entry => [entry.id, entry]));
+    return {
+        stored,
+        getAll: async () => Array.from(stored.values()),
+        put: async (entry) => { stored.set(entry.id, entry); },
+        delete: async (id) => { stored.delete(id); },
+    };
+};
+
+beforeAll(async () => {
+    Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => online });
+    await startServer();
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(async () => {
+    online = true;
+    await failNext(0, 503);
+});
+
+describe('contact queue against the mock endpoint', () => {
+    beforeEach(async () => {
+        queue = createContactQueue({ baseDelay: 400 });
+        await queue.start();
+    });
+
+    afterEach(() => {
+        queue.stop();
+    });
+
+    it('sends a submission right away', async () => {
+        const entry = await queue.enqueue(VALUES, { endpoint });
+
+        const sent = await waitForEntry(entry.id, item => item.status === 'sent');
+        expect(sent.attempts).toBe(0);
+        expect(sent.payload.email).toBe('ada@example.com');
+    });
+
+    it('backs off after a 503, waits while offline and sends once back online', async () => {
+        await failNext(1, 503);
+        const entry = await queue.enqueue(VALUES, { endpoint });
+
+        const retrying = await waitForEntry(entry.id, item => item.status === 'queued' && item.attempts === 1);
+        online = false;
+        expect(retrying.lastError).toContain('503');
+        // First retry after baseDelay, +-20% jitter
+        expect(retrying.nextAttemptAt - Date.now()).toBeGreaterThan(0);
+        expect(retrying.nextAttemptAt - Date.now()).toBeLessThanOrEqual(480);
+
+        // The backoff timer fires while offline: nothing is sent
+        await sleep(600);
+        expect(queue.getEntries().find(item => item.id === entry.id)).toMatchObject({ status: 'queued', attempts: 1 });
+
+        online = true;
+        window.dispatchEvent(new Event('online'));
+
+        const sent = await waitForEntry(entry.id, item => item.status === 'sent');
+        expect(sent.attempts).toBe(1);
+        expect(sent.lastError).toBeNull();
+    });
+
+    it('retries on its own once the backoff has passed', async () => {
+        await failNext(2, 503);
+        const entry = await queue.enqueue(VALUES, { endpoint });
+
+        const sent = await waitForEntry(entry.id, item => item.status === 'sent');
+        expect(sent.attempts).toBe(2);
+    });
+
+    it('marks a submission failed on a non-retryable 4xx', async () => {
+        await failNext(1, 400);
+        const entry = await queue.enqueue(VALUES, { endpoint });
+
+        const failed = await waitForEntry(entry.id, item => item.status === 'failed');
+        expect(failed.attempts).toBe(1);
+        expect(failed.lastError).toContain('400');
+        expect(failed.lastStatus).toBe(400);
+
+        // Not retried later
+        await sleep(600);
+        expect(queue.getEntries().find(item => item.id === entry.id).status).toBe('failed');
+    });
+
+    it('marks a submission the endpoint rejects as spam failed', async () => {
+        const entry = await queue.enqueue(
+            { ...VALUES, spam: { ...VALUES.spam, honeypot: 'https://spam.example' } },
+            { endpoint }
+        );
+
+        const failed = await waitForEntry(entry.id, item => item.status === 'failed');
+        expect(failed.lastStatus).toBe(422);
+    });
+});
+
+describe('contact queue across visits', () => {
+    afterEach(() => {
+        queue?.stop();
+        vi.unstubAllGlobals();
+    });
+
+    it('sends a submission queued on an earlier visit', async () => {
+        const storage = createMemoryStorage();
+        online = false;
+        const firstVisit = createContactQueue({ storage });
+        await firstVisit.start();
+        const entry = await firstVisit.enqueue(VALUES, { endpoint });
+        firstVisit.stop();
+        expect(storage.stored.get(entry.id)).toMatchObject({ status: 'queued', attempts: 0 });
+
+        online = true;
+        queue = createContactQueue({ storage });
+        await queue.start();
+
+        const sent = await waitForEntry(entry.id, item => item.status === 'sent');
+        expect(sent.payload.email).toBe('ada@example.com');
+        expect(storage.stored.get(entry.id).status).toBe('sent');
+    });
+
+    it('retries a submission left sending when the tab was closed', async () => {
+        const storage = createMemoryStorage([{
+            id: 'interrupted',
+            payload: VALUES,
+            endpoint,
+            status: 'sending',
+            attempts: 0,
+            nextAttemptAt: Date.now() + 60000,
+            createdAt: Date.now() - 1000,
+            sentAt: null,
+            lastError: null,
+        }]);
+        queue = createContactQueue({ storage });
+        await queue.start();
+
+        await waitForEntry('interrupted', item => item.status === 'sent');
+    });
+
+    it('persists submissions in IndexedDB', async () => {
+        vi.stubGlobal('indexedDB', new IDBFactory());
+        online = false;
+        const firstVisit = createContactQueue();
+        await firstVisit.start();
+        const entry = await firstVisit.enqueue(VALUES, { endpoint });
+        firstVisit.stop();
+
+        online = true;
+        queue = createContactQueue();
+        await queue.start();
+        expect(queue.getEntries().map(item => item.id)).toEqual([entry.id]);
+
+        await waitForEntry(entry.id, item => item.status === 'sent');
+        // A third visit sees the entry as sent and doesn't send it again
+        queue.stop();
+        queue = createContactQueue();
+        await queue.start();
+        expect(queue.getEntries()).toMatchObject([{ id: entry.id, status: 'sent' }]);
+    });
+});
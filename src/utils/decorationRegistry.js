@@ -0,0 +1,38 @@
+/**
+ * Registry of the frames whose decorations are drawn by FrameDecorations.
+ * Entries: { anchor, portalConfigs, particles, particleCount, color? }, where
+ * anchor is the frame's circle mesh and particles its simulated positions.
+ * subscribe and getSnapshot fit useSyncExternalStore, so frames registered
+ * before FrameDecorations subscribes are drawn from its first render.
+ * @returns {{ entries: Map, register: Function, subscribe: Function, getSnapshot: Function }}
+ */
+export const createDecorationRegistry = () => {
+    const entries = new Map();
+    const listeners = new Set();
+    // Array of the entries, replaced on every change
+    let snapshot = [];
+    const notify = () => {
+        snapshot = Array.from(entries.values());
+        listeners.forEach(listener => listener());
+    };
+
+    return {
+        entries,
+        // Returns a function that removes the entry again
+        register(key, entry) {
+            entries.set(key, entry);
+            notify();
+            return () => {
+                if (entries.get(key) === entry) entries.delete(key);
+                notify();
+            };
+        },
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        getSnapshot() {
+            return snapshot;
+        },
+    };
+};
@@ -0,0 +1,165 @@
+/**
+ * Procedural frame layouts.
+ *
+ * A strategy is a function `(count, options) => [{ position, rotation }]`
+ * returning one placement per frame. All strategies handle any number of
+ * frames and derive their spacing from the frame size, so adding projects
+ * spreads the layout out instead of overlapping frames.
+ */
+
+// Outer diameter of a frame, i.e. the widest portal ring (radius ~0.62)
+export const FRAME_SIZE = 1.25;
+
+const strategies = new Map();
+
+/**
+ * Register a layout strategy
+ * @param {string} name - Name used in config (data-three-layout / layout option)
+ * @param {Function} strategy - (count, options) => [{ position, rotation }]
+ */
+export const registerLayoutStrategy = (name, strategy) => {
+    strategies.set(name, strategy);
+};
+
+export const getLayoutStrategies = () => Array.from(strategies.keys());
+
+const placement = (x, z, rotationY = 0, y = 0) => ({
+    position: [x, y, z],
+    rotation: [0, rotationY, 0],
+});
+
+/**
+ * Horseshoe: the original layout. One frame in front when the count is odd,
+ * a back row and two angled arms opening towards the camera. Nine frames
+ * reproduce the old hand-placed table. The arms stop at `maxArmLength` frames
+ * so they never reach the camera; further frames fill staggered rows behind
+ * the back row, each one raised by `rowRise` to show over the row in front.
+ */
+registerLayoutStrategy('horseshoe', (count, { spacing, armAngle = Math.PI / 2.5, maxArmLength = 3, rowRise = 0.5 * spacing }) => {
+    const placements = [];
+    const hasFront = count % 2 === 1;
+    const perSide = Math.floor(count / 2);
+    const backPerSide = perSide <= 1 ? perSide : Math.max(1, Math.round(perSide / 4));
+    const armPerSide = Math.min(maxArmLength, perSide - backPerSide);
+    const extraPerSide = perSide - backPerSide - armPerSide;
+
+    const backZ = -0.48 * spacing;
+    const armStartZ = 0.2 * spacing;
+    const backHalfWidth = (0.64 + (backPerSide - 1)) * spacing;
+    const armX = backHalfWidth + 0.76 * spacing;
+
+    if (hasFront) {
+        const armMidZ = armStartZ + Math.max(0, armPerSide - 1) * spacing / 2;
+        placements.push(placement(0, Math.max(armMidZ, 1.2 * spacing)));
+    }
+
+    [-1, 1].forEach((side) => {
+        for (let i = 0; i < backPerSide; i++) {
+            placements.push(placement(side * (0.64 + i) * spacing, backZ));
+        }
+        // Rows behind the back row, as wide as it and offset by half a frame
+        for (let i = 0; i < extraPerSide; i++) {
+            const row = Math.floor(i / backPerSide) + 1;
+            const x = 0.64 + (i % backPerSide) + (row % 2) * 0.5;
+            placements.push(placement(side * x * spacing, backZ - row * spacing, 0, row * rowRise));
+        }
+    });
+
+    [-1, 1].forEach((side) => {
+        for (let i = 0; i < armPerSide; i++) {
+            // Bulge the arm outwards in the middle and flare it towards the open end
+            const t = armPerSide > 1 ? i / (armPerSide - 1) : 0;
+            const bulge = (Math.sin(Math.PI * t) * 0.22 + t * 0.2) * spacing;
+            placements.push(placement(side * (armX + bulge), armStartZ + i * spacing, -side * armAngle));
+        }
+    });
+
+    return placements;
+});
+
+/**
+ * Arc: frames on a circular arc facing its centre, which sits on the camera
+ * side. The radius grows with the count so neighbours stay `spacing` apart.
+ */
+registerLayoutStrategy('arc', (count, { spacing, angle = Math.PI * 0.8, minRadius = 3 }) => {
+    if (count === 1) return [placement(0, 0)];
+    const radius = Math.max(minRadius, spacing * (count - 1) / angle);
+    const step = Math.min(angle / (count - 1), spacing / radius);
+    const centerZ = radius;
+
+    return Array.from({ length: count }, (_, i) => {
+        const theta = (i - (count - 1) / 2) * step;
+        return placement(radius * Math.sin(theta), centerZ - radius * Math.cos(theta), -theta);
+    });
+});
+
+/**
+ * Grid: rows of frames on the ground plane, centred on the origin and
+ * receding away from the camera.
+ */
+registerLayoutStrategy('grid', (count, { spacing, columns }) => {
+    const cols = columns || Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / cols);
+
+    return Array.from({ length: count }, (_, i) => {
+        const row = Math.floor(i / cols);
+        const col = i % cols;
+        // Centre a partially filled last row
+        const rowCount = row === rows - 1 ? count - row * cols : cols;
+        return placement(
+            (col - (rowCount - 1) / 2) * spacing,
+            (row - (rows - 1) / 2) * -spacing
+        );
+    });
+});
+
+/**
+ * Spiral: Fermat spiral using the golden angle, which keeps an even density
+ * however many frames there are.
+ */
+registerLayoutStrategy('spiral', (count, { spacing }) => {
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+    // sqrt(pi)/pi ~ 0.56 keeps the mean neighbour distance close to `spacing`
+    const scale = spacing * 0.56;
+
+    return Array.from({ length: count }, (_, i) => {
+        const radius = scale * Math.sqrt(i + 0.5);
+        const theta = i * goldenAngle;
+        return placement(radius * Math.sin(theta), radius * Math.cos(theta));
+    });
+});
+
+/**
+ * Ring: a full circle of frames facing outwards.
+ */
+registerLayoutStrategy('ring', (count, { spacing, minRadius = 1.5 }) => {
+    const radius = Math.max(minRadius, spacing * count / (Math.PI * 2));
+
+    return Array.from({ length: count }, (_, i) => {
+        const theta = (i / count) * Math.PI * 2;
+        return placement(radius * Math.sin(theta), radius * Math.cos(theta), theta);
+    });
+});
+
+/**
+ * Compute frame placements
+ * @param {number} count - Number of frames
+ * @param {Object} options - Configuration options
+ * @param {string} [options.strategy='horseshoe'] - Registered strategy name
+ * @param {number} [options.frameSize=FRAME_SIZE] - Size of one frame in world units
+ * @param {number} [options.gap=1] - Spacing multiplier applied to the frame size
+ * @returns {Array<{ position: number[], rotation: number[] }>}
+ */
+export const computeFrameLayout = (count, options = {}) => {
+    const {
+        strategy = 'horseshoe',
+        frameSize = FRAME_SIZE,
+        gap = 1,
+        ...strategyOptions
+    } = options;
+
+    if (count <= 0) return [];
+
+    const layout = strategies.get(strategy) || strategies.get('horseshoe');
+    return layout(count, { ...strategyOptions, spacing: frameSize * gap });
+};
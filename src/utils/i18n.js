@@ -0,0 +1,106 @@
+import en from '../locales/en';
+import de from '../locales/de';
+import { devLog, devWarn } from './devLog';
+
+/**
+ * Locale store. The locale follows the host page's <html lang> attribute
+ * (watched for changes) and can be switched at runtime with setLocale;
+ * components re-render through useLocale without remounting the Canvas.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+const messages = { en, de };
+const listeners = new Set();
+let currentLocale = DEFAULT_LOCALE;
+let langObserver = null;
+
+/**
+ * Map a BCP 47 tag (e.g. "de-AT") onto a supported locale
+ * @param {string} tag - Language tag
+ * @returns {string} Supported locale
+ */
+export const resolveLocale = (tag) => {
+    const normalized = (tag || '').toLowerCase();
+    if (messages[normalized]) return normalized;
+    const language = normalized.split('-')[0];
+    return messages[language] ? language : DEFAULT_LOCALE;
+};
+
+export const getLocale = () => currentLocale;
+
+export const getSupportedLocales = () => Object.keys(messages);
+
+/**
+ * Register or extend the messages of a locale
+ * @param {string} locale - Locale code
+ * @param {Object} localeMessages - Nested message object, merged over existing keys
+ */
+export const addMessages = (locale, localeMessages) => {
+    const merge = (target, source) => {
+        Object.entries(source).forEach(([key, value]) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                target[key] = merge({ ...(target[key] || {}) }, value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    };
+    messages[locale] = merge({ ...(messages[locale] || {}) }, localeMessages);
+};
+
+export const setLocale = (tag) => {
+    const next = resolveLocale(tag);
+    if (next === currentLocale) return;
+    devLog(`Locale: ${currentLocale} -> ${next}`);
+    currentLocale = next;
+    listeners.forEach(listener => listener(currentLocale));
+};
+
+export const subscribeLocale = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const lookup = (locale, key) => key.split('.').reduce(
+    (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    messages[locale]
+);
+
+/**
+ * Translate a key, falling back to English and then to the key itself
+ * @param {string} key - Dot-separated key, e.g. "contact.status.sent"
+ * @param {Object} [params] - Values for {placeholders}; `count` also picks
+ *   between `one` and `other` forms
+ * @returns {*} The message (usually a string; may be null or an object)
+ */
+export const t = (key, params = {}) => {
+    let message = lookup(currentLocale, key);
+    if (message === undefined) message = lookup(DEFAULT_LOCALE, key);
+    if (message === undefined) {
+        devWarn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    if (message && typeof message === 'object' && 'other' in message && typeof params.count === 'number') {
+        const rule = new Intl.PluralRules(currentLocale).select(params.count);
+        message = message[rule] ?? message.other;
+    }
+
+    if (typeof message !== 'string') return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * Start following <html lang>. Safe to call more than once.
+ */
+export const watchDocumentLang = () => {
+    const html = document.documentElement;
+    setLocale(html.lang);
+    if (langObserver) return;
+    langObserver = new MutationObserver(() => setLocale(html.lang));
+    langObserver.observe(html, { attributes: true, attributeFilter: ['lang'] });
+};
+
+watchDocumentLang();
@@ -0,0 +1,196 @@
+import { gsap } from 'gsap';
+import { devLog, devWarn } from './devLog';
+
+/**
+ * Scripted intro for the contact scene.
+ *
+ * The timeline doesn't touch scene objects directly: it tweens the plain
+ * progress values in `introProgress` (0 = hidden / far away, 1 = at rest) and
+ * the components read them every frame. That keeps seeking and reversing
+ * trivial and works for parts that mount late (e.g. the terrain, which waits
+ * for the project data).
+ *
+ * Channels:
+ * - letters: header glyphs fly in, staggered (see getLetterProgress)
+ * - stars:   star field fades up
+ * - terrain: terrain rises and fades up
+ * - camera:  camera settles from a pulled-back position
+ *
+ * Returning visitors (localStorage flag) and users who prefer reduced motion
+ * get the short version.
+ *
+ * The header starts the intro once it has loaded; the scene also schedules a
+ * fallback start (playAfter) so a header that never loads can't keep the
+ * rest of the scene hidden.
+ */
+
+const SEEN_KEY = 'contact-header:intro-seen';
+
+// [channel, start, duration, ease]
+const SCRIPTS = {
+    full: [
+        ['camera', 0, 2.8, 'power3.inOut'],
+        ['stars', 0, 2, 'power1.inOut'],
+        ['letters', 0.3, 1.6, 'none'],
+        ['terrain', 0.6, 1.8, 'power2.out'],
+    ],
+    short: [
+        ['camera', 0, 0.9, 'power2.out'],
+        ['stars', 0, 0.6, 'power1.out'],
+        ['letters', 0, 0.7, 'none'],
+        ['terrain', 0.1, 0.6, 'power2.out'],
+    ],
+};
+
+export const INTRO_CHANNELS = ['letters', 'stars', 'terrain', 'camera'];
+
+// Read by the scene components every frame
+export const introProgress = Object.fromEntries(INTRO_CHANNELS.map(channel => [channel, 0]));
+
+const listeners = new Set();
+let timeline = null;
+let variant = null;
+let status = 'idle'; // idle | playing | paused | complete
+
+const setStatus = (next) => {
+    if (status === next) return;
+    status = next;
+    listeners.forEach(listener => listener(status));
+};
+
+export const hasSeenIntro = () => {
+    try {
+        return localStorage.getItem(SEEN_KEY) === '1';
+    } catch {
+        return false;
+    }
+};
+
+const markSeen = () => {
+    try {
+        localStorage.setItem(SEEN_KEY, '1');
+    } catch (error) {
+        devWarn('Failed to store intro seen flag:', error);
+    }
+};
+
+const prefersReducedMotion = () =>
+    typeof window !== 'undefined' && window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+const pickVariant = () => (hasSeenIntro() || prefersReducedMotion() ? 'short' : 'full');
+
+const build = (name) => {
+    timeline?.kill();
+    variant = name;
+    INTRO_CHANNELS.forEach((channel) => { introProgress[channel] = 0; });
+
+    timeline = gsap.timeline({
+        paused: true,
+        onComplete: () => {
+            markSeen();
+            setStatus('complete');
+        },
+    });
+    SCRIPTS[name].forEach(([channel, start, duration, ease]) => {
+        // A label per channel so callers can seek('terrain') etc.
+        timeline.addLabel(channel, start);
+        timeline.to(introProgress, { [channel]: 1, duration, ease }, start);
+    });
+    devLog(`Intro timeline built (${name}, ${timeline.duration().toFixed(2)}s)`);
+    return timeline;
+};
+
+/**
+ * Progress of one glyph given the letters channel, so the letters fly in one
+ * after another
+ * @param {number} progress - introProgress.letters
+ * @param {number} index - Glyph index
+ * @param {number} count - Number of glyphs
+ * @param {number} [stagger=0.6] - Share of the channel used to offset the glyphs
+ * @returns {number} 0..1
+ */
+export const getLetterProgress = (progress, index, count, stagger = 0.6) => {
+    if (count <= 1) return progress;
+    const start = (index / (count - 1)) * stagger;
+    return Math.min(1, Math.max(0, (progress - start) / (1 - stagger)));
+};
+
+/**
+ * Public intro API, also exposed on the bundle's global (MyWidget.introTimeline)
+ */
+export const introTimeline = {
+    /**
+     * Play the intro from where it is. The first call picks the full or short
+     * version; a finished intro is left alone (use replay).
+     */
+    play() {
+        if (!timeline) build(pickVariant());
+        if (status === 'complete' || status === 'playing') return;
+        timeline.play();
+        setStatus('playing');
+    },
+
+    /**
+     * Play the intro after a delay unless it has been started by then
+     * @param {number} delay - Seconds
+     * @returns {Function} Cancels the delayed start
+     */
+    playAfter(delay) {
+        const call = gsap.delayedCall(delay, () => {
+            if (status !== 'idle') return;
+            devWarn(`Intro not started after ${delay}s, starting it without the header`);
+            introTimeline.play();
+        });
+        return () => call.kill();
+    },
+
+    pause() {
+        if (!timeline || status !== 'playing') return;
+        timeline.pause();
+        setStatus('paused');
+    },
+
+    // Jump to the end state and remember the intro as seen
+    skip() {
+        if (!timeline) build(pickVariant());
+        timeline.progress(1).pause();
+        markSeen();
+        setStatus('complete');
+    },
+
+    /**
+     * Restart the intro from the beginning
+     * @param {Object} [options] - Configuration options
+     * @param {boolean} [options.short=false] - Play the short version
+     */
+    replay({ short = false } = {}) {
+        build(short ? 'short' : 'full');
+        timeline.play(0);
+        setStatus('playing');
+    },
+
+    /**
+     * Move the playhead without changing whether the intro is playing
+     * @param {number|string} position - Time in seconds or a channel label
+     */
+    seek(position) {
+        if (!timeline) build(pickVariant());
+        timeline.seek(position);
+        if (status === 'idle' || (status === 'complete' && timeline.progress() < 1)) {
+            setStatus('paused');
+        }
+    },
+
+    getStatus: () => status,
+    getVariant: () => variant,
+    getDuration: () => timeline?.duration() ?? 0,
+
+    /**
+     * @param {Function} listener - Called with the new status
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    },
+};
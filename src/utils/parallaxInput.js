@@ -0,0 +1,170 @@
+import { devLog, devWarn } from './devLog';
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+/**
+ * Parallax input from the mouse, touch drags and the device's orientation,
+ * combined into one normalised `{ x, y }` value in -1..1 (x right, y up).
+ *
+ * - mouse: position over the window; recentres when the pointer leaves it
+ * - touch: dragging shifts the view and it recentres on release, so vertical
+ *   swipes keep scrolling the page as usual
+ * - device orientation: tilt relative to how the device was held when the
+ *   first reading came in. iOS only sends events after
+ *   requestOrientationPermission() is called from a user gesture; the first
+ *   tap on the page does that automatically.
+ * @param {Object} options - Configuration options
+ * @param {number} [options.orientationRange=20] - Degrees of tilt mapped to full input
+ * @param {number} [options.touchSensitivity=1.5] - Input per screen width of drag
+ */
+export const createParallaxInput = (options = {}) => {
+    const {
+        orientationRange = 20,
+        touchSensitivity = 1.5,
+    } = options;
+
+    const value = { x: 0, y: 0 };
+    const pointer = { x: 0, y: 0 };
+    const drag = { x: 0, y: 0, startX: 0, startY: 0, active: false };
+    const tilt = { x: 0, y: 0, neutral: null, active: false };
+    let started = false;
+    let permissionRequested = false;
+    let permissionGranted = false;
+
+    const update = () => {
+        value.x = clamp((tilt.active ? tilt.x : pointer.x) + drag.x);
+        value.y = clamp((tilt.active ? tilt.y : pointer.y) + drag.y);
+    };
+
+    // Pointer events so the mouse events browsers emulate after a tap are ignored
+    const handlePointerMove = (event) => {
+        if (event.pointerType !== 'mouse') return;
+        pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+        pointer.y = -((event.clientY / window.innerHeight) * 2 - 1);
+        update();
+    };
+
+    const recenter = () => {
+        pointer.x = 0;
+        pointer.y = 0;
+        update();
+    };
+
+    const handlePointerOut = (event) => {
+        if (event.pointerType !== 'mouse') return;
+        // relatedTarget is null when the pointer left the window
+        if (!event.relatedTarget) recenter();
+    };
+
+    const handleTouchStart = (event) => {
+        const touch = event.touches[0];
+        drag.startX = touch.clientX;
+        drag.startY = touch.clientY;
+        drag.active = true;
+    };
+
+    const handleTouchMove = (event) => {
+        if (!drag.active) return;
+        const touch = event.touches[0];
+        drag.x = clamp(((touch.clientX - drag.startX) / window.innerWidth) * 2 * touchSensitivity);
+        drag.y = clamp(-((touch.clientY - drag.startY) / window.innerHeight) * 2 * touchSensitivity);
+        update();
+    };
+
+    const handleTouchEnd = () => {
+        drag.active = false;
+        drag.x = 0;
+        drag.y = 0;
+        update();
+        requestOrientationPermission();
+    };
+
+    const handleOrientation = (event) => {
+        if (event.beta === null || event.gamma === null) return;
+
+        // Map to screen axes, which rotate with the device in landscape
+        const angle = screen.orientation?.angle ?? window.orientation ?? 0;
+        let horizontal = event.gamma;
+        let vertical = event.beta;
+        if (angle === 90) {
+            horizontal = event.beta;
+            vertical = -event.gamma;
+        } else if (angle === -90 || angle === 270) {
+            horizontal = -event.beta;
+            vertical = event.gamma;
+        } else if (angle === 180) {
+            horizontal = -event.gamma;
+            vertical = -event.beta;
+        }
+
+        if (!tilt.neutral || tilt.neutral.angle !== angle) {
+            tilt.neutral = { horizontal, vertical, angle };
+        }
+        tilt.x = clamp((horizontal - tilt.neutral.horizontal) / orientationRange);
+        tilt.y = clamp((vertical - tilt.neutral.vertical) / orientationRange);
+        tilt.active = true;
+        update();
+    };
+
+    const listenToOrientation = () => {
+        window.addEventListener('deviceorientation', handleOrientation);
+    };
+
+    /**
+     * Ask for device orientation access where the browser requires it (iOS 13+).
+     * Must be called from a user gesture such as a tap.
+     * @returns {Promise<boolean>} Whether orientation input is available
+     */
+    const requestOrientationPermission = async () => {
+        const OrientationEvent = window.DeviceOrientationEvent;
+        if (!OrientationEvent || typeof OrientationEvent.requestPermission !== 'function') {
+            return !!OrientationEvent;
+        }
+        if (permissionRequested) return permissionGranted;
+        permissionRequested = true;
+
+        try {
+            const state = await OrientationEvent.requestPermission();
+            devLog(`Device orientation permission: ${state}`);
+            permissionGranted = state === 'granted';
+            if (permissionGranted && started) listenToOrientation();
+            return permissionGranted;
+        } catch (error) {
+            devWarn('Device orientation permission request failed:', error);
+            return false;
+        }
+    };
+
+    const start = () => {
+        if (started) return;
+        started = true;
+        window.addEventListener('pointermove', handlePointerMove);
+        document.addEventListener('pointerout', handlePointerOut);
+        window.addEventListener('blur', recenter);
+        window.addEventListener('touchstart', handleTouchStart, { passive: true });
+        window.addEventListener('touchmove', handleTouchMove, { passive: true });
+        window.addEventListener('touchend', handleTouchEnd);
+        window.addEventListener('touchcancel', handleTouchEnd);
+        // Without a permission API the events simply start arriving
+        if (permissionGranted || typeof window.DeviceOrientationEvent?.requestPermission !== 'function') {
+            listenToOrientation();
+        }
+    };
+
+    const stop = () => {
+        started = false;
+        window.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerout', handlePointerOut);
+        window.removeEventListener('blur', recenter);
+        window.removeEventListener('touchstart', handleTouchStart);
+        window.removeEventListener('touchmove', handleTouchMove);
+        window.removeEventListener('touchend', handleTouchEnd);
+        window.removeEventListener('touchcancel', handleTouchEnd);
+        window.removeEventListener('deviceorientation', handleOrientation);
+        tilt.active = false;
+        tilt.neutral = null;
+        recenter();
+    };
+
+    return { value, start, stop, requestOrientationPermission };
+};
@@ -0,0 +1,153 @@
+import { devLog, devWarn } from './devLog';
+import { parseSrcset, pickSrcsetCandidate } from './srcset';
+
+/**
+ * Project details read from a project's own page, for the detail panel.
+ *
+ * Like the project metadata (see projectMetadata.js), fields are marked in the
+ * CMS template with `data-three-field`:
+ *
+ * | Field       | Element                                  | Fallback                          |
+ * |-------------|------------------------------------------|-----------------------------------|
+ * | description | [data-three-field="description"]         | meta description / og:description |
+ * | credits     | [data-three-field="credits"]             | none                              |
+ * | gallery     | img inside [data-three-field="gallery"]  | none                              |
+ *
+ * Credits are read from `<dt>`/`<dd>` pairs if present, otherwise from each
+ * list item or paragraph as "Role: Name".
+ *
+ * @typedef {Object} ProjectDetails
+ * @property {string[]} description - Paragraphs
+ * @property {Array<{ role: string|null, name: string }>} credits
+ * @property {Array<{ url: string, alt: string }>} gallery
+ */
+
+// Gallery thumbnails are shown small; pick srcset candidates for this width (CSS px)
+const GALLERY_DISPLAY_WIDTH = 160;
+const MAX_GALLERY_IMAGES = 8;
+
+// Pages by absolute URL, as promises so concurrent requests share one fetch
+const cache = new Map();
+
+const cleanText = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+const field = (doc, name) => doc.querySelector(`[data-three-field="${name}"]`);
+
+const resolveUrl = (url, baseUrl) => {
+    try {
+        return new URL(url, baseUrl).href;
+    } catch {
+        return null;
+    }
+};
+
+const parseDescription = (doc) => {
+    const element = field(doc, 'description');
+    if (element) {
+        const paragraphs = Array.from(element.querySelectorAll('p'))
+            .map(p => cleanText(p.textContent))
+            .filter(Boolean);
+        if (paragraphs.length > 0) return paragraphs;
+        const text = cleanText(element.textContent);
+        return text ? [text] : [];
+    }
+
+    const meta = doc.querySelector('meta[name="description"], meta[property="og:description"]');
+    const text = cleanText(meta?.getAttribute('content'));
+    return text ? [text] : [];
+};
+
+const parseCredits = (doc) => {
+    const element = field(doc, 'credits');
+    if (!element) return [];
+
+    const terms = Array.from(element.querySelectorAll('dt'));
+    if (terms.length > 0) {
+        return terms.map((dt) => {
+            const dd = dt.nextElementSibling?.tagName === 'DD' ? dt.nextElementSibling : null;
+            return { role: cleanText(dt.textContent) || null, name: cleanText(dd?.textContent) };
+        }).filter(credit => credit.name);
+    }
+
+    const lines = Array.from(element.querySelectorAll('li, p'));
+    return (lines.length > 0 ? lines : [element])
+        .map((line) => {
+            const text = cleanText(line.textContent);
+            const separator = text.indexOf(':');
+            return separator > 0
+                ? { role: text.slice(0, separator).trim(), name: text.slice(separator + 1).trim() }
+                : { role: null, name: text };
+        })
+        .filter(credit => credit.name);
+};
+
+const parseGallery = (doc, baseUrl) => {
+    const element = field(doc, 'gallery');
+    if (!element) return [];
+
+    const seen = new Set();
+    const images = [];
+    element.querySelectorAll('img').forEach((img) => {
+        const candidates = parseSrcset(img.getAttribute('srcset'));
+        const candidate = pickSrcsetCandidate(candidates, { displayWidth: GALLERY_DISPLAY_WIDTH });
+        const url = resolveUrl(candidate?.url || img.getAttribute('src'), baseUrl);
+        if (!url || seen.has(url)) return;
+        seen.add(url);
+        images.push({ url, alt: cleanText(img.getAttribute('alt')) });
+    });
+    return images.slice(0, MAX_GALLERY_IMAGES);
+};
+
+/**
+ * Parse a project page
+ * @param {string} html - Page markup
+ * @param {string} baseUrl - URL of the page, for resolving relative image URLs
+ * @returns {ProjectDetails}
+ */
+export const parseProjectDetails = (html, baseUrl) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return {
+        description: parseDescription(doc),
+        credits: parseCredits(doc),
+        gallery: parseGallery(doc, baseUrl),
+    };
+};
+
+/**
+ * Fetch and parse a project page, cached per URL. Failed requests are not
+ * cached, so they are retried the next time.
+ * @param {string} url - Project page URL
+ * @returns {Promise<ProjectDetails>}
+ */
+export const fetchProjectDetails = (url) => {
+    const pageUrl = resolveUrl(url, window.location.href);
+    if (!pageUrl) {
+        return Promise.reject(new Error(`Invalid project page URL: ${url}`));
+    }
+    if (cache.has(pageUrl)) {
+        return cache.get(pageUrl);
+    }
+
+    devLog(`Fetching project details from ${pageUrl}`);
+    const request = fetch(pageUrl)
+        .then((response) => {
+            if (!response.ok) {
+                throw new Error(`Failed to fetch project page: ${response.status} ${response.statusText}`);
+            }
+            return response.text();
+        })
+        .then(html => parseProjectDetails(html, pageUrl))
+        .catch((error) => {
+            devWarn(`Project details for ${pageUrl} could not be loaded:`, error);
+            cache.delete(pageUrl);
+            throw error;
+        });
+
+    cache.set(pageUrl, request);
+    return request;
+};
+
+// Drop cached pages, e.g. after the CMS content changed
+export const clearProjectDetailsCache = () => {
+    cache.clear();
+};
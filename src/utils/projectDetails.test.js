@@ -0,0 +1,118 @@
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { clearProjectDetailsCache, fetchProjectDetails, parseProjectDetails } from './projectDetails';
+
+const PAGE_URL = 'https://example.com/work/alpha/';
+
+const fixture = name => readFileSync(join(import.meta.dirname, '__fixtures__', 'projectDetails', `${name}.html`), 'utf8');
+
+const htmlResponse = (html, status = 200) => new Response(html, {
+    status,
+    headers: { 'Content-Type': 'text/html' },
+});
+
+describe('parseProjectDetails', () => {
+    it('reads description paragraphs and dt/dd credits', () => {
+        const details = parseProjectDetails(fixture('paragraphs'), PAGE_URL);
+
+        expect(details.description).toEqual([
+            'First paragraph of the project description.',
+            'Second paragraph.',
+        ]);
+        expect(details.credits).toEqual([
+            { role: 'Direction', name: 'Jane Doe' },
+            { role: 'Music', name: 'John Roe' },
+        ]);
+    });
+
+    it('picks gallery srcset candidates and resolves relative URLs against the page', () => {
+        const { gallery } = parseProjectDetails(fixture('paragraphs'), PAGE_URL);
+
+        expect(gallery).toEqual([
+            { url: 'https://example.com/work/alpha/img/a-320.jpg', alt: 'Still one' },
+            { url: 'https://example.com/work/shared/b.jpg', alt: 'Still two' },
+            { url: 'https://cdn.example.com/c.jpg', alt: '' },
+        ]);
+    });
+
+    it('reads a description without paragraphs and "Role: Name" credits', () => {
+        const details = parseProjectDetails(fixture('plain'), PAGE_URL);
+
+        expect(details.description).toEqual([
+            'A single block of description text, written without paragraph tags.',
+        ]);
+        expect(details.credits).toEqual([
+            { role: 'Client', name: 'Example GmbH' },
+            { role: 'Photography', name: 'Ann Lee' },
+            { role: null, name: 'Studio Nord' },
+        ]);
+        expect(details.gallery).toEqual([]);
+    });
+
+    it('falls back to the meta description', () => {
+        const details = parseProjectDetails(fixture('meta-only'), PAGE_URL);
+
+        expect(details.description).toEqual(["Description from the page's meta tags."]);
+        expect(details.credits).toEqual([]);
+        expect(details.gallery).toEqual([]);
+    });
+});
+
+describe('fetchProjectDetails', () => {
+    beforeEach(() => {
+        clearProjectDetailsCache();
+        vi.stubGlobal('fetch', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('fetches each page once and shares the result', async () => {
+        fetch.mockResolvedValue(htmlResponse(fixture('paragraphs')));
+
+        const [first, second] = await Promise.all([
+            fetchProjectDetails(PAGE_URL),
+            fetchProjectDetails(PAGE_URL),
+        ]);
+        const third = await fetchProjectDetails(PAGE_URL);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(second).toBe(first);
+        expect(third).toBe(first);
+        expect(first.description[1]).toBe('Second paragraph.');
+    });
+
+    it('does not cache failed requests, so the next call retries', async () => {
+        fetch
+            .mockResolvedValueOnce(htmlResponse('Server error', 500))
+            .mockResolvedValueOnce(htmlResponse(fixture('plain')));
+
+        await expect(fetchProjectDetails(PAGE_URL)).rejects.toThrow('500');
+        const details = await fetchProjectDetails(PAGE_URL);
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(details.credits[0]).toEqual({ role: 'Client', name: 'Example GmbH' });
+    });
+
+    it('retries after a network error', async () => {
+        fetch
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockResolvedValueOnce(htmlResponse(fixture('meta-only')));
+
+        await expect(fetchProjectDetails(PAGE_URL)).rejects.toThrow('Failed to fetch');
+        await expect(fetchProjectDetails(PAGE_URL)).resolves.toMatchObject({
+            description: ["Description from the page's meta tags."],
+        });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('resolves relative page URLs against the current page', async () => {
+        fetch.mockResolvedValue(htmlResponse(fixture('meta-only')));
+
+        await fetchProjectDetails('/work/gamma');
+
+        expect(fetch).toHaveBeenCalledWith(new URL('/work/gamma', window.location.href).href);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Project metadata read from the CMS markup.
+ *
+ * Each field is taken from a data attribute on the project item first, then
+ * from a child element marked with `data-three-field`:
+ *
+ * | Field    | Attribute on the item   | Child element                         |
+ * |----------|-------------------------|---------------------------------------|
+ * | category | data-three-category     | [data-three-field="category"]         |
+ * | year     | data-three-year         | [data-three-field="year"]             |
+ * | client   | data-three-client       | [data-three-field="client"]           |
+ * | color    | data-three-color        | [data-three-field="color"]            |
+ *
+ * `category` may hold several comma-separated categories; the first one is
+ * the primary category. `color` accepts any CSS colour string.
+ *
+ * @typedef {Object} ProjectMetadata
+ * @property {string|null} category - Primary category
+ * @property {string[]} categories - All categories, primary first
+ * @property {number|null} year - Four-digit year
+ * @property {string|null} client - Client name
+ * @property {string|null} color - Brand colour as a CSS colour string
+ */
+
+export const METADATA_FIELDS = ['category', 'year', 'client', 'color'];
+
+const cleanString = (value) => {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || null;
+};
+
+const parseCategories = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(cleanString).filter(Boolean);
+    }
+    const text = cleanString(value);
+    return text ? text.split(',').map(cleanString).filter(Boolean) : [];
+};
+
+const parseYear = (value) => {
+    const match = cleanString(value)?.match(/\d{4}/);
+    return match ? parseInt(match[0], 10) : null;
+};
+
+const parseColor = (value) => {
+    const text = cleanString(value);
+    if (!text) return null;
+    // Let the browser validate the colour where possible
+    if (typeof CSS !== 'undefined' && CSS.supports && !CSS.supports('color', text)) {
+        return null;
+    }
+    return text;
+};
+
+/**
+ * Normalise raw metadata from any source into a ProjectMetadata object,
+ * keeping unknown fields untouched
+ * @param {Object} raw - Raw metadata
+ * @returns {ProjectMetadata}
+ */
+export const normalizeMetadata = (raw = {}) => {
+    const categories = parseCategories(raw.categories ?? raw.category);
+    return {
+        ...raw,
+        category: categories[0] || null,
+        categories,
+        year: parseYear(raw.year),
+        client: cleanString(raw.client),
+        color: parseColor(raw.color),
+    };
+};
+
+/**
+ * Read the documented metadata fields from a project item element
+ * @param {HTMLElement} element - The project-links-item element
+ * @returns {ProjectMetadata}
+ */
+export const extractMetadataFromElement = (element) => {
+    const raw = {};
+    METADATA_FIELDS.forEach((field) => {
+        const attribute = element.getAttribute(`data-three-${field}`);
+        if (attribute !== null) {
+            raw[field] = attribute;
+            return;
+        }
+        const child = element.querySelector(`[data-three-field="${field}"]`);
+        if (child) {
+            raw[field] = child.textContent;
+        }
+    });
+    return normalizeMetadata(raw);
+};
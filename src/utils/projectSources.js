@@ -0,0 +1,208 @@
+import { devLog, devWarn, devError } from './devLog';
+import { parseSrcset } from './srcset';
+import { normalizeMetadata } from './projectMetadata';
+
+/**
+ * Project data sources.
+ *
+ * Every source resolves to an array of raw project objects which are then
+ * normalised against one shared schema:
+ *
+ * {
+ *   slug: string,        // unique, non-empty
+ *   name: string,        // display name, falls back to the slug
+ *   images: string[],    // at least one image URL
+ *   srcset: Object[],    // parsed srcset candidates for images[0], may be empty
+ *   metadata: Object,    // ProjectMetadata (category, year, client, color) plus any extra fields
+ *   link: string|null,   // URL of the project's own page, used for the detail panel
+ *   video: string|null,  // short looping clip shown in the frame on hover, optional
+ *   model: string|null,  // GLB hero model for the project's portal world, optional
+ *   index: number        // position in the source order
+ * }
+ *
+ * Sources are plain objects `{ name, priority, isAvailable(), load() }` so new
+ * ones can be registered without touching images.jsx. Auto-detection tries
+ * them in ascending priority order.
+ */
+
+const ROOT_SELECTOR = '#projects-root-threed';
+const INLINE_SCRIPT_SELECTOR = 'script[type="application/json"][data-three="projects"]';
+
+const sources = new Map();
+
+/**
+ * Normalise and validate a single raw project against the shared schema
+ * @param {Object} raw - Project as returned by a source
+ * @param {number} index - Position of the project in the source list
+ * @returns {Object|null} Normalised project or null when invalid
+ */
+export const validateProject = (raw, index) => {
+    if (!raw || typeof raw !== 'object') {
+        devWarn(`Project ${index} is not an object`, raw);
+        return null;
+    }
+
+    const slug = typeof raw.slug === 'string' ? raw.slug.trim() : '';
+    if (!slug) {
+        devWarn(`Project ${index} has no identifiable slug`, raw);
+        return null;
+    }
+
+    const images = (Array.isArray(raw.images) ? raw.images : [raw.images])
+        .filter(url => typeof url === 'string' && url.trim() !== '');
+    if (images.length === 0) {
+        devWarn(`Project ${index} (${slug}) has no image URL`);
+        return null;
+    }
+
+    const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : slug;
+    const metadata = normalizeMetadata(
+        raw.metadata && typeof raw.metadata === 'object' && !Array.isArray(raw.metadata)
+            ? raw.metadata
+            : {}
+    );
+
+    const link = typeof raw.link === 'string' && raw.link.trim() ? raw.link.trim() : null;
+    const video = typeof raw.video === 'string' && raw.video.trim() ? raw.video.trim() : null;
+    const model = typeof raw.model === 'string' && raw.model.trim() ? raw.model.trim() : null;
+
+    let srcset = [];
+    if (typeof raw.srcset === 'string') {
+        srcset = parseSrcset(raw.srcset);
+    } else if (Array.isArray(raw.srcset)) {
+        srcset = raw.srcset.filter(candidate => candidate && typeof candidate.url === 'string');
+    }
+
+    return { ...raw, slug, name, images, srcset, metadata, link, video, model, index };
+};
+
+/**
+ * Validate a list of raw projects, dropping invalid entries and duplicate slugs
+ * @param {Array} rawProjects - Projects as returned by a source
+ * @returns {Object[]} Normalised projects
+ */
+export const validateProjects = (rawProjects) => {
+    if (!Array.isArray(rawProjects)) {
+        devWarn('Project source did not return an array:', rawProjects);
+        return [];
+    }
+
+    const seen = new Set();
+    return rawProjects
+        .map((raw, index) => validateProject(raw, index))
+        .filter((project) => {
+            if (!project) return false;
+            if (seen.has(project.slug)) {
+                devWarn(`Duplicate project slug ignored: ${project.slug}`);
+                return false;
+            }
+            seen.add(project.slug);
+            return true;
+        });
+};
+
+/**
+ * Register a project source
+ * @param {Object} source - { name, priority?, isAvailable?: () => boolean, load: () => Promise<Array> }
+ */
+export const registerProjectSource = (source) => {
+    if (!source?.name || typeof source.load !== 'function') {
+        throw new Error('A project source needs a name and a load() function');
+    }
+    sources.set(source.name, {
+        priority: 100,
+        isAvailable: () => true,
+        ...source,
+    });
+};
+
+export const getProjectSource = (name) => sources.get(name) || null;
+
+/**
+ * Read a data-three-* setting from the scene root element
+ * @param {string} key - Attribute suffix, e.g. "source" for data-three-source
+ */
+export const getRootSetting = (key) => {
+    const root = document.querySelector(ROOT_SELECTOR);
+    return root?.getAttribute(`data-three-${key}`) || null;
+};
+
+/**
+ * Pick the source to use. An explicit name wins, then the root element's
+ * data-three-source attribute, then the first available source by priority.
+ * @param {string} [preferred] - Source name requested by the caller
+ */
+export const resolveProjectSource = (preferred) => {
+    const requested = preferred || getRootSetting('source');
+    if (requested) {
+        const source = sources.get(requested);
+        if (source) return source;
+        devWarn(`Unknown project source "${requested}", falling back to auto-detection`);
+    }
+
+    const byPriority = Array.from(sources.values()).sort((a, b) => a.priority - b.priority);
+    for (const source of byPriority) {
+        try {
+            if (source.isAvailable()) return source;
+        } catch (error) {
+            devWarn(`Project source "${source.name}" availability check failed:`, error);
+        }
+    }
+    return null;
+};
+
+/**
+ * Load and validate projects from the resolved source
+ * @param {string} [preferred] - Source name requested by the caller
+ * @returns {Promise<{ source: string|null, projects: Object[] }>}
+ */
+export const loadProjects = async (preferred) => {
+    const source = resolveProjectSource(preferred);
+    if (!source) {
+        devWarn('No project source available');
+        return { source: null, projects: [] };
+    }
+
+    devLog(`Loading projects from source "${source.name}"`);
+    try {
+        const raw = await source.load();
+        return { source: source.name, projects: validateProjects(raw) };
+    } catch (error) {
+        devError(`Project source "${source.name}" failed:`, error);
+        return { source: source.name, projects: [] };
+    }
+};
+
+// Static JSON embedded in the page:
+// <script type="application/json" data-three="projects">[...]</script>
+registerProjectSource({
+    name: 'inline',
+    priority: 10,
+    isAvailable: () => !!document.querySelector(INLINE_SCRIPT_SELECTOR),
+    load: async () => {
+        const script = document.querySelector(INLINE_SCRIPT_SELECTOR);
+        if (!script) return [];
+        const data = JSON.parse(script.textContent || '[]');
+        return Array.isArray(data) ? data : data.projects;
+    },
+});
+
+// JSON endpoint configured through data-three-endpoint on the scene root
+registerProjectSource({
+    name: 'json',
+    priority: 20,
+    isAvailable: () => !!getRootSetting('endpoint'),
+    load: async () => {
+        const endpoint = getRootSetting('endpoint');
+        const response = await fetch(endpoint);
+
+        if (!response.ok) {
+            throw new Error(
+                `Failed to fetch project data: ${response.status} ${response.statusText}`
+            );
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : data.projects;
+    },
+});
@@ -0,0 +1,126 @@
+import getApiData, { invalidateProjectCache } from '../images';
+import { devLog, devWarn } from './devLog';
+
+export const PROJECT_ITEM_SELECTOR = 'div[data-three="thumbnail"].project-links-item';
+
+/**
+ * Compare two image lists by slug
+ * @param {Object[]} prev - Current images
+ * @param {Object[]} next - Freshly extracted images
+ * @returns {{ added: Object[], removed: Object[], updated: Object[], changed: boolean }}
+ */
+export const diffProjects = (prev, next) => {
+    const prevBySlug = new Map(prev.map(image => [image.slug, image]));
+    const nextSlugs = new Set(next.map(image => image.slug));
+
+    const added = next.filter(image => !prevBySlug.has(image.slug));
+    const removed = prev.filter(image => !nextSlugs.has(image.slug));
+    const updated = next.filter((image) => {
+        const old = prevBySlug.get(image.slug);
+        return old && (old.url !== image.url || old.name !== image.name ||
+            old.position.join() !== image.position.join());
+    });
+    const orderChanged = next.some((image, i) => prev[i]?.slug !== image.slug);
+
+    return {
+        added,
+        removed,
+        updated,
+        changed: added.length > 0 || removed.length > 0 || updated.length > 0 || orderChanged,
+    };
+};
+
+// True when a mutation added or removed a project item (or a subtree holding one)
+const touchesProjectItems = (mutation) => {
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.some(node =>
+        node.nodeType === Node.ELEMENT_NODE &&
+        (node.matches(PROJECT_ITEM_SELECTOR) || !!node.querySelector(PROJECT_ITEM_SELECTOR))
+    );
+};
+
+/**
+ * MutationObserver-backed store of the extracted projects. Watches the host
+ * page for project items being added or removed (CMS pagination, filters,
+ * "load more") and re-extracts when that happens.
+ * @param {Object} options - Configuration options
+ * @param {number} [options.debounce=150] - Delay (ms) used to batch bursts of mutations
+ * @param {Node} [options.root=document.body] - Subtree to observe
+ * @param {string} [options.source] - Project source forwarded to getApiData
+ * @param {Object} [options.layout] - Layout options forwarded to getApiData
+ */
+export const createProjectStore = (options = {}) => {
+    const {
+        debounce = 150,
+        root = document.body,
+        source,
+        layout,
+    } = options;
+
+    let images = [];
+    let loaded = false;
+    let observer = null;
+    let timeoutId = null;
+    let version = 0;
+    const listeners = new Set();
+
+    const notify = (diff) => {
+        listeners.forEach(listener => listener(images, diff));
+    };
+
+    const refresh = async () => {
+        const requestVersion = ++version;
+        invalidateProjectCache();
+        const next = await getApiData({ source, layout });
+
+        // A newer refresh started while this one was loading
+        if (requestVersion !== version) return;
+
+        const diff = diffProjects(images, next);
+        if (loaded && !diff.changed) return;
+
+        devLog(`Project store: +${diff.added.length} -${diff.removed.length} ~${diff.updated.length}`);
+        images = next;
+        loaded = true;
+        notify(diff);
+    };
+
+    const scheduleRefresh = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+            refresh().catch(error => devWarn('Project store refresh failed:', error));
+        }, debounce);
+    };
+
+    const start = () => {
+        if (observer) return refresh();
+        observer = new MutationObserver((mutations) => {
+            if (mutations.some(touchesProjectItems)) {
+                scheduleRefresh();
+            }
+        });
+        observer.observe(root, { childList: true, subtree: true });
+        return refresh();
+    };
+
+    const stop = () => {
+        clearTimeout(timeoutId);
+        observer?.disconnect();
+        observer = null;
+        version++;
+    };
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    return {
+        start,
+        stop,
+        refresh,
+        subscribe,
+        getImages: () => images,
+        isLoaded: () => loaded,
+    };
+};
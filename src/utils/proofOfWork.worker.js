@@ -0,0 +1,38 @@
+/**
+ * Proof-of-work solver. Finds a nonce such that
+ * SHA-256(`${challenge}:${nonce}`) starts with `difficulty` zero bits.
+ * Runs in a Web Worker so the form stays responsive while it searches.
+ */
+
+const encoder = new TextEncoder();
+
+const leadingZeroBits = (bytes) => {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+};
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+self.onmessage = async (event) => {
+    const { challenge, difficulty, maxIterations = 16 * 2 ** difficulty } = event.data;
+
+    for (let nonce = 0; nonce < maxIterations; nonce++) {
+        const digest = new Uint8Array(
+            await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`))
+        );
+        if (leadingZeroBits(digest) >= difficulty) {
+            self.postMessage({ nonce, hash: toHex(digest) });
+            return;
+        }
+    }
+
+    self.postMessage({ error: `No solution within ${maxIterations} iterations` });
+};
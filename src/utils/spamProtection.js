@@ -0,0 +1,160 @@
+import ProofOfWorkWorker from './proofOfWork.worker.js?worker&inline';
+import { getRootSetting } from './projectSources';
+import { devLog, devWarn } from './devLog';
+
+/**
+ * Spam protection for the contact form, without a third-party CAPTCHA:
+ *
+ * - honeypot: a visually hidden field humans leave empty
+ * - minimum fill time: bots submit within milliseconds of the form appearing
+ * - per-browser rate limit: a few submissions per window, kept in localStorage
+ * - optional proof of work: a SHA-256 hashcash token computed in a Web Worker,
+ *   enabled with data-three-contact-pow="<difficulty bits>" on the scene root
+ *   (at most MAX_POW_DIFFICULTY). The client makes up the challenge from the
+ *   time and email, so a solved token can be replayed while it is fresh
+ *   unless the backend accepts each challenge only once.
+ *
+ * Everything is attached to the payload as `spam` so the backend can verify it
+ * (see dev/mockContactEndpoint.js for a reference check).
+ */
+
+export const HONEYPOT_FIELD = 'website';
+export const MIN_FILL_TIME_MS = 3000;
+export const RATE_LIMIT = { max: 3, windowMs: 10 * 60 * 1000 };
+
+const RATE_LIMIT_KEY = 'contact-form:submissions';
+const POW_TIMEOUT_MS = 15000;
+// 2^18 hashes on average, a few seconds in the worker; harder levels
+// wouldn't reliably finish within POW_TIMEOUT_MS
+export const MAX_POW_DIFFICULTY = 18;
+// Iterations the worker tries per expected 2^difficulty, so practically
+// every challenge is solved (the chance of missing is e^-16)
+const POW_ITERATION_FACTOR = 16;
+
+const readSubmissionTimes = () => {
+    try {
+        const times = JSON.parse(localStorage.getItem(RATE_LIMIT_KEY) || '[]');
+        const cutoff = Date.now() - RATE_LIMIT.windowMs;
+        return Array.isArray(times) ? times.filter(time => time > cutoff) : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * @returns {{ allowed: boolean, retryAfterMs: number }}
+ */
+export const checkRateLimit = () => {
+    const times = readSubmissionTimes();
+    if (times.length < RATE_LIMIT.max) {
+        return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: Math.min(...times) + RATE_LIMIT.windowMs - Date.now() };
+};
+
+export const recordSubmission = () => {
+    try {
+        localStorage.setItem(RATE_LIMIT_KEY, JSON.stringify([...readSubmissionTimes(), Date.now()]));
+    } catch (error) {
+        devWarn('Failed to record contact submission for rate limiting:', error);
+    }
+};
+
+/**
+ * Proof-of-work difficulty in leading zero bits, or 0 when disabled
+ */
+export const getProofOfWorkDifficulty = () => {
+    const difficulty = parseInt(getRootSetting('contact-pow') || '0', 10);
+    if (!Number.isFinite(difficulty)) return 0;
+    if (difficulty > MAX_POW_DIFFICULTY) {
+        devWarn(`data-three-contact-pow=${difficulty} is too hard to solve in time; using ${MAX_POW_DIFFICULTY}`);
+    }
+    return Math.max(0, Math.min(difficulty, MAX_POW_DIFFICULTY));
+};
+
+/**
+ * Solve a proof-of-work challenge in a Web Worker
+ * @param {string} challenge - String to hash together with the nonce
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {Promise<{ nonce: number, hash: string }>}
+ */
+export const computeProofOfWork = (challenge, difficulty) => new Promise((resolve, reject) => {
+    const worker = new ProofOfWorkWorker();
+    const timeoutId = setTimeout(() => {
+        worker.terminate();
+        reject(new Error('Proof of work timed out'));
+    }, POW_TIMEOUT_MS);
+
+    worker.onmessage = (event) => {
+        clearTimeout(timeoutId);
+        worker.terminate();
+        if (event.data.error) {
+            reject(new Error(event.data.error));
+        } else {
+            resolve(event.data);
+        }
+    };
+    worker.onerror = (event) => {
+        clearTimeout(timeoutId);
+        worker.terminate();
+        reject(new Error(event.message || 'Proof of work worker failed'));
+    };
+    worker.postMessage({ challenge, difficulty, maxIterations: POW_ITERATION_FACTOR * 2 ** difficulty });
+});
+
+/**
+ * Check the client-side rules before submitting
+ * @param {Object} options
+ * @param {number} options.startedAt - When the form was shown (ms timestamp)
+ * @returns {{ ok: boolean, reason?: 'too-fast' | 'rate-limited', retryAfterMs?: number }}
+ */
+export const checkSubmission = ({ startedAt }) => {
+    if (Date.now() - startedAt < MIN_FILL_TIME_MS) {
+        return { ok: false, reason: 'too-fast', retryAfterMs: MIN_FILL_TIME_MS - (Date.now() - startedAt) };
+    }
+    const { allowed, retryAfterMs } = checkRateLimit();
+    if (!allowed) {
+        return { ok: false, reason: 'rate-limited', retryAfterMs };
+    }
+    return { ok: true };
+};
+
+/**
+ * Build the `spam` block attached to the submission payload. The proof of work
+ * is left out here and added when the submission is sent (see
+ * refreshProofOfWork), so a submission replayed later isn't rejected as stale.
+ * @param {Object} options
+ * @param {string} options.honeypot - Value of the honeypot field
+ * @param {number} options.startedAt - When the form was shown (ms timestamp)
+ * @returns {Object}
+ */
+export const createSpamToken = ({ honeypot, startedAt }) => {
+    const submittedAt = Date.now();
+    return {
+        honeypot: honeypot || '',
+        startedAt,
+        submittedAt,
+        elapsedMs: submittedAt - startedAt,
+        recentSubmissions: readSubmissionTimes().length,
+        pow: null,
+    };
+};
+
+/**
+ * Solve a fresh proof of work for a payload about to be sent, bound to its
+ * email and the current time. Used by the contact queue before every attempt.
+ * @param {Object} payload - Contact payload with a `spam` block
+ * @returns {Promise<Object>} The payload with `spam.pow` set, or as is when
+ *   proof of work is disabled
+ * @throws {Error} When solving fails, so the queue retries the send later
+ */
+export const refreshProofOfWork = async (payload) => {
+    const difficulty = getProofOfWorkDifficulty();
+    if (!payload.spam || difficulty === 0 || typeof Worker === 'undefined') return payload;
+
+    const startedAt = Date.now();
+    const challenge = `${startedAt}:${Math.random().toString(36).slice(2)}:${payload.email.trim().toLowerCase()}`;
+    const { nonce, hash } = await computeProofOfWork(challenge, difficulty);
+    devLog(`Proof of work solved in ${Date.now() - startedAt}ms (nonce ${nonce})`);
+    return { ...payload, spam: { ...payload.spam, pow: { challenge, difficulty, nonce, hash } } };
+};
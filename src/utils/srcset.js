@@ -0,0 +1,101 @@
+/**
+ * srcset parsing and candidate selection for frame textures.
+ */
+
+// Fraction of the ideal pixel width requested per quality tier
+export const QUALITY_RESOLUTION_SCALE = {
+    high: 1,
+    medium: 0.75,
+    low: 0.5,
+};
+
+/**
+ * Parse a srcset attribute into candidates, following the HTML spec closely
+ * enough for CMS output: URLs may contain commas, descriptors are `w` or `x`.
+ * @param {string} srcset - Raw srcset attribute value
+ * @returns {Array<{ url: string, width: number|null, density: number|null }>}
+ */
+export const parseSrcset = (srcset) => {
+    if (!srcset) return [];
+
+    const candidates = [];
+    let pos = 0;
+    const length = srcset.length;
+
+    while (pos < length) {
+        // Skip whitespace and stray commas before the URL
+        while (pos < length && /[\s,]/.test(srcset[pos])) pos++;
+        if (pos >= length) break;
+
+        // URL runs until whitespace; a trailing comma ends the candidate
+        let end = pos;
+        while (end < length && !/\s/.test(srcset[end])) end++;
+        let url = srcset.slice(pos, end);
+        pos = end;
+
+        let descriptor = '';
+        if (url.endsWith(',')) {
+            url = url.replace(/,+$/, '');
+        } else {
+            // Descriptors run until the next comma
+            let descEnd = pos;
+            while (descEnd < length && srcset[descEnd] !== ',') descEnd++;
+            descriptor = srcset.slice(pos, descEnd).trim();
+            pos = descEnd + 1;
+        }
+
+        if (!url) continue;
+
+        const candidate = { url, width: null, density: null };
+        const widthMatch = descriptor.match(/^(\d+)w$/);
+        const densityMatch = descriptor.match(/^(\d*\.?\d+)x$/);
+        if (widthMatch) {
+            candidate.width = parseInt(widthMatch[1], 10);
+        } else if (densityMatch) {
+            candidate.density = parseFloat(densityMatch[1]);
+        } else {
+            candidate.density = 1;
+        }
+        candidates.push(candidate);
+    }
+
+    return candidates;
+};
+
+/**
+ * Pick the candidate best suited to the rendered size
+ * @param {Array} candidates - Output of parseSrcset
+ * @param {Object} options - Configuration options
+ * @param {number} options.displayWidth - On-screen width of the image in CSS pixels
+ * @param {number} [options.dpr=window.devicePixelRatio] - Device pixel ratio
+ * @param {string} [options.quality='high'] - Quality tier (high, medium, low)
+ * @returns {Object|null} The chosen candidate
+ */
+export const pickSrcsetCandidate = (candidates, options) => {
+    const {
+        displayWidth,
+        dpr = window.devicePixelRatio || 1,
+        quality = 'high',
+    } = options;
+
+    if (!candidates || candidates.length === 0) return null;
+
+    const scale = QUALITY_RESOLUTION_SCALE[quality] ?? 1;
+    const neededWidth = displayWidth * dpr * scale;
+
+    const withWidth = candidates
+        .filter(candidate => candidate.width)
+        .sort((a, b) => a.width - b.width);
+
+    if (withWidth.length > 0) {
+        // Smallest image that still covers the needed pixels, else the largest
+        return withWidth.find(candidate => candidate.width >= neededWidth) ||
+            withWidth[withWidth.length - 1];
+    }
+
+    // Density descriptors only: match the device pixel ratio
+    const neededDensity = dpr * scale;
+    const byDensity = [...candidates].sort((a, b) => a.density - b.density);
+    return byDensity.find(candidate => candidate.density >= neededDensity) ||
+        byDensity[byDensity.length - 1];
+};
@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { devLog, devWarn } from './devLog';
+import { getRootSetting } from './projectSources';
+
+/**
+ * Shared texture cache.
+ *
+ * Every texture is loaded once per URL and options and shared by all users.
+ * Users retain a texture while they show it and release it afterwards; a
+ * texture nobody retains stays cached, so remounts are free, until the
+ * estimated GPU memory of all cached textures exceeds the budget. Then the
+ * least recently used unretained textures are disposed first. Retained
+ * textures are never disposed, and neither are textures loaded for a
+ * suspended component that hasn't retained them yet (for up to
+ * UNCLAIMED_GRACE_MS), so a load that goes over budget can't evict itself.
+ *
+ * `.ktx2` URLs are transcoded with three's KTX2Loader (Basis Universal) to a
+ * compressed format the GPU supports; this needs the renderer, which
+ * useManagedTexture provides.
+ *
+ * Options applied once at load: { colorSpace, wrap, mapping }. Textures are
+ * shared, so change other properties on a clone only.
+ *
+ * Budget: data-three-texture-budget on the scene root, in MB.
+ */
+
+const DEFAULT_BUDGET_MB = 256;
+// How long a texture requested but never retained is kept from eviction, in
+// case the component that requested it is still suspended on other textures
+const UNCLAIMED_GRACE_MS = 30000;
+// Basis transcoder matching drei's useKTX2 default
+const DEFAULT_TRANSCODER_PATH = 'https://cdn.jsdelivr.net/gh/pmndrs/drei-assets/basis/';
+
+// Entries in least recently used order, oldest first
+const entries = new Map();
+const imageLoader = new THREE.TextureLoader();
+let ktx2Loader = null;
+let renderer = null;
+let budget = null;
+
+const getBudget = () => {
+    if (budget === null) {
+        const configured = parseFloat(getRootSetting('texture-budget'));
+        budget = (Number.isFinite(configured) ? configured : DEFAULT_BUDGET_MB) * 1024 * 1024;
+    }
+    return budget;
+};
+
+const isKTX2 = url => /\.ktx2(\?|#|$)/i.test(url);
+
+const keyFor = (url, options = {}) => {
+    const { colorSpace = '', wrap = '', mapping = '' } = options;
+    return `${url}|${colorSpace}|${wrap}|${mapping}`;
+};
+
+// Rough GPU memory of a texture, including mipmaps
+const estimateBytes = (texture) => {
+    if (texture.isCompressedTexture) {
+        return texture.mipmaps.reduce((sum, mipmap) => sum + (mipmap.data?.byteLength || 0), 0);
+    }
+    const { width = 0, height = 0 } = texture.image || {};
+    return Math.round(width * height * 4 * (texture.generateMipmaps ? 4 / 3 : 1));
+};
+
+const applyOptions = (texture, { colorSpace, wrap, mapping } = {}) => {
+    if (colorSpace) texture.colorSpace = colorSpace;
+    if (wrap) texture.wrapS = texture.wrapT = wrap;
+    if (mapping) texture.mapping = mapping;
+    texture.needsUpdate = true;
+    return texture;
+};
+
+const getKTX2Loader = () => {
+    if (!renderer) {
+        throw new Error('KTX2 textures need a renderer; load them through useManagedTexture');
+    }
+    if (!ktx2Loader) {
+        ktx2Loader = new KTX2Loader()
+            .setTranscoderPath(getRootSetting('basis-path') || DEFAULT_TRANSCODER_PATH)
+            .detectSupport(renderer);
+    }
+    return ktx2Loader;
+};
+
+const load = (url) => new Promise((resolve, reject) => {
+    const loader = isKTX2(url) ? getKTX2Loader() : imageLoader;
+    loader.load(url, resolve, undefined, reject);
+});
+
+const totalBytes = () => {
+    let sum = 0;
+    entries.forEach(entry => { sum += entry.bytes; });
+    return sum;
+};
+
+// Move an entry to the most recently used end
+const touch = (entry) => {
+    entries.delete(entry.key);
+    entries.set(entry.key, entry);
+};
+
+/**
+ * Dispose least recently used textures nobody retains until the cache fits
+ * the budget
+ */
+export const trimTextureCache = () => {
+    let total = totalBytes();
+    for (const entry of entries.values()) {
+        if (total <= getBudget()) break;
+        if (entry.refs > 0 || !entry.texture) continue;
+        if (!entry.claimed && Date.now() - entry.loadedAt < UNCLAIMED_GRACE_MS) continue;
+        devLog(`Texture cache over budget, disposing ${entry.url}`);
+        entry.texture.dispose();
+        entries.delete(entry.key);
+        total -= entry.bytes;
+    }
+};
+
+const getEntry = (url, options) => {
+    const key = keyFor(url, options);
+    let entry = entries.get(key);
+    if (!entry) {
+        entry = { key, url, texture: null, error: null, refs: 0, bytes: 0, promise: null, claimed: false, loadedAt: 0 };
+        entry.promise = load(url)
+            .then((texture) => {
+                entry.texture = applyOptions(texture, options);
+                entry.bytes = estimateBytes(texture);
+                entry.loadedAt = Date.now();
+                trimTextureCache();
+                return texture;
+            })
+            .catch((error) => {
+                devWarn(`Failed to load texture: ${url}`, error);
+                // Kept, so suspended components fail once instead of retrying forever
+                entry.error = error;
+                throw error;
+            });
+        entries.set(key, entry);
+    } else {
+        touch(entry);
+    }
+    return entry;
+};
+
+/**
+ * Give the manager the renderer, needed to pick a compressed format for KTX2
+ * @param {THREE.WebGLRenderer} gl - The scene renderer
+ */
+export const setTextureRenderer = (gl) => {
+    if (renderer === gl) return;
+    renderer = gl;
+    ktx2Loader?.detectSupport(gl);
+};
+
+/**
+ * Set the memory budget
+ * @param {number} megabytes - Estimated GPU memory for cached textures
+ */
+export const setTextureBudget = (megabytes) => {
+    budget = megabytes * 1024 * 1024;
+    trimTextureCache();
+};
+
+/**
+ * Load a texture, or share it if it is loaded already, without retaining it
+ * @param {string} url - Image or .ktx2 URL
+ * @param {Object} [options] - { colorSpace, wrap, mapping }
+ * @returns {{ texture: THREE.Texture|null, error: Error|null, promise: Promise<THREE.Texture> }}
+ */
+export const requestTexture = (url, options) => {
+    const { texture, error, promise } = getEntry(url, options);
+    return { texture, error, promise };
+};
+
+/**
+ * Load a texture and keep it from being evicted until released
+ * @param {string} url - Image or .ktx2 URL
+ * @param {Object} [options] - { colorSpace, wrap, mapping }
+ * @returns {Promise<THREE.Texture>}
+ */
+export const retainTexture = (url, options) => {
+    const entry = getEntry(url, options);
+    entry.refs++;
+    entry.claimed = true;
+    return entry.promise;
+};
+
+/**
+ * Release a texture retained with retainTexture, once per retain
+ * @param {string} url - Image or .ktx2 URL
+ * @param {Object} [options] - The options it was retained with
+ */
+export const releaseTexture = (url, options) => {
+    const entry = entries.get(keyFor(url, options));
+    if (!entry || entry.refs === 0) return;
+    entry.refs--;
+    if (entry.refs === 0) trimTextureCache();
+};
+
+export const getTextureStats = () => ({
+    count: entries.size,
+    retained: Array.from(entries.values()).filter(entry => entry.refs > 0).length,
+    bytes: totalBytes(),
+    budget: getBudget(),
+});
@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react';
+import { useCachedElements } from './useCachedElements';
+import { PROJECT_ITEM_SELECTOR } from './projectStore';
+import { extractMetadataFromElement } from './projectMetadata';
+import {
+    getCategoryFilter,
+    setCategoryFilter,
+    subscribeCategoryFilter,
+    matchesCategory,
+} from './categoryFilter';
+
+// Filter chips in the host page, e.g. <a data-three-filter="branding">Branding</a>.
+// data-three-filter="all" resets the filter.
+export const FILTER_CHIP_SELECTOR = '[data-three-filter]';
+
+// Class on project items the filter hides. Inline display styles (e.g. from
+// the page's own filtering) still win over it.
+export const FILTERED_OUT_CLASS = 'three-filtered-out';
+
+const ensureFilteredOutStyle = () => {
+    if (document.getElementById(FILTERED_OUT_CLASS)) return;
+    const style = document.createElement('style');
+    style.id = FILTERED_OUT_CLASS;
+    style.textContent = `.${FILTERED_OUT_CLASS} { display: none; }`;
+    document.head.appendChild(style);
+};
+
+// Chips without a real link are handled here; real links still navigate
+const isPlaceholderLink = (chip) => {
+    const href = chip.getAttribute('href');
+    return href === null || href === '' || href === '#';
+};
+
+/**
+ * Hook binding the shared category filter to the host page. Clicking a chip
+ * sets the filter; any filter change (from a chip or from the scene) moves the
+ * `active` class between chips and hides project items that don't match
+ * (with FILTERED_OUT_CLASS, removed again on unmount).
+ */
+export const useCategoryFilter = () => {
+    const [activeCategory, setActiveCategory] = useState(getCategoryFilter);
+    const chips = useCachedElements(FILTER_CHIP_SELECTOR);
+    const { clearActiveClasses, addActiveClass, refreshElements } = chips;
+
+    useEffect(() => subscribeCategoryFilter(setActiveCategory), []);
+
+    // Pick up a chip the page already marks as active
+    useEffect(() => {
+        const activeChip = document.querySelector(`${FILTER_CHIP_SELECTOR}.active`);
+        if (activeChip) {
+            setCategoryFilter(activeChip.getAttribute('data-three-filter'));
+        }
+    }, []);
+
+    // Delegate so chips added later (CMS pagination) still work
+    useEffect(() => {
+        const handleClick = (event) => {
+            const chip = event.target.closest?.(FILTER_CHIP_SELECTOR);
+            if (!chip) return;
+            if (isPlaceholderLink(chip)) event.preventDefault();
+            setCategoryFilter(chip.getAttribute('data-three-filter'));
+        };
+        document.addEventListener('click', handleClick);
+        return () => document.removeEventListener('click', handleClick);
+    }, []);
+
+    // Reflect the filter in the DOM
+    useEffect(() => {
+        refreshElements();
+        clearActiveClasses();
+        const chipElements = Array.from(document.querySelectorAll(FILTER_CHIP_SELECTOR));
+        const index = chipElements.findIndex((chip) => {
+            const value = chip.getAttribute('data-three-filter');
+            return activeCategory ? matchesCategory([value], activeCategory) : value === 'all';
+        });
+        if (index !== -1) {
+            addActiveClass(index);
+        }
+
+        ensureFilteredOutStyle();
+        const items = Array.from(document.querySelectorAll(PROJECT_ITEM_SELECTOR));
+        items.forEach((element) => {
+            const { categories } = extractMetadataFromElement(element);
+            element.classList.toggle(FILTERED_OUT_CLASS, !matchesCategory(categories, activeCategory));
+        });
+        return () => items.forEach(element => element.classList.remove(FILTERED_OUT_CLASS));
+    }, [activeCategory, clearActiveClasses, addActiveClass, refreshElements]);
+
+    return { activeCategory, setCategory: setCategoryFilter };
+};
@@ -0,0 +1,33 @@
+import { useEffect, useRef } from 'react';
+import { onContactFormEvent } from './contactFormEvents';
+import { createContactFormBridge } from './contactFormBridge';
+
+/**
+ * Subscribe a component to contact form events
+ * @param {Object} handlers - Map of event type to handler, e.g. { success: () => ... }
+ */
+export const useContactFormEvents = (handlers) => {
+    // Keep the latest handlers without resubscribing on every render
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+    const types = Object.keys(handlers).join();
+
+    useEffect(() => {
+        const unsubscribers = types.split(',').filter(Boolean).map(type =>
+            onContactFormEvent(type, detail => handlersRef.current[type]?.(detail))
+        );
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [types]);
+};
+
+/**
+ * Hook that connects the host page's Webflow form (data-three="contact-form")
+ * to the contact form events for as long as the component is mounted
+ */
+export const useContactFormBridge = () => {
+    useEffect(() => {
+        const bridge = createContactFormBridge();
+        bridge.start();
+        return () => bridge.stop();
+    }, []);
+};
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import { contactQueue } from './contactQueue';
+
+/**
+ * Hook exposing the shared contact queue. Starts it on first use so
+ * submissions left over from an earlier visit are replayed.
+ */
+export const useContactQueue = (queue = contactQueue) => {
+    const [entries, setEntries] = useState(queue.getEntries);
+
+    useEffect(() => {
+        const unsubscribe = queue.subscribe(setEntries);
+        queue.start();
+        return unsubscribe;
+    }, [queue]);
+
+    return { entries, enqueue: queue.enqueue };
+};
@@ -0,0 +1,203 @@
+import { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+
+const STEP = 1 / 120;
+const MAX_STEPS = 8;
+const MAX_RIPPLES = 4;
+
+const _box = new THREE.Box3();
+const _meshBox = new THREE.Box3();
+const _relative = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _screen = new THREE.Vector3();
+const _rotation = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+const _pivotOffset = new THREE.Vector3();
+
+const prefersReducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+// Centre of the glyph's meshes in its own space, used as the pivot so glyphs
+// tilt around their middle rather than the origin the font or GLB gave them
+const measurePivot = (glyph) => {
+    _box.makeEmpty();
+    glyph.updateWorldMatrix(true, true);
+    _inverse.copy(glyph.matrixWorld).invert();
+    glyph.traverse((child) => {
+        if (!child.isMesh || !child.geometry) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        _relative.multiplyMatrices(_inverse, child.matrixWorld);
+        _box.union(_meshBox.copy(child.geometry.boundingBox).applyMatrix4(_relative));
+    });
+    return _box.isEmpty() ? null : _box.getCenter(new THREE.Vector3());
+};
+
+const createGlyphState = (glyph) => ({
+    glyph,
+    pivot: null,
+    offset: new THREE.Vector3(),
+    velocity: new THREE.Vector3(),
+    tilt: new THREE.Vector2(),
+    tiltVelocity: new THREE.Vector2(),
+    target: new THREE.Vector2(),
+    influence: 0,
+});
+
+/**
+ * Hook that makes the glyphs of a 3D word react to the pointer: glyphs near
+ * the cursor lift towards the camera and tilt towards it, touching a glyph
+ * sends a ripple across the word, and damped springs bring everything back to
+ * rest once the pointer moves on or leaves the window.
+ *
+ * Each glyph must be its own object whose rest transform is the identity; the
+ * hook owns its position and rotation.
+ * @param {Object} glyphsRef - Ref holding the glyph objects in reading order
+ * @param {Object} [options] - Configuration options
+ * @param {boolean} [options.enabled=true] - Turn the interaction off
+ * @param {number} [options.radius=0.25] - Reach of the pointer in normalised screen units
+ * @param {number} [options.lift=0.35] - How far a glyph under the pointer moves towards the camera
+ * @param {number} [options.tilt=0.35] - Maximum tilt towards the pointer in radians
+ * @param {number} [options.stiffness=160] - Spring stiffness
+ * @param {number} [options.damping=12] - Spring damping
+ * @param {number} [options.rippleStrength=2.5] - Upward kick of a ripple
+ * @param {number} [options.rippleSpeed=14] - Glyphs per second the ripple travels
+ */
+export const useGlyphPhysics = (glyphsRef, options = {}) => {
+    const {
+        enabled = true,
+        radius = 0.25,
+        lift = 0.35,
+        tilt = 0.35,
+        stiffness = 160,
+        damping = 12,
+        rippleStrength = 2.5,
+        rippleSpeed = 14,
+    } = options;
+
+    const gl = useThree(state => state.gl);
+    const pointer = useRef({ x: 0, y: 0, active: false });
+    const states = useRef([]);
+    const ripples = useRef([]);
+    const accumulator = useRef(0);
+    const isActive = enabled && !prefersReducedMotion();
+
+    // Track the pointer over the whole window: the canvas sits behind page content
+    useEffect(() => {
+        if (!isActive) return;
+
+        const handleMove = (event) => {
+            const rect = gl.domElement.getBoundingClientRect();
+            pointer.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+            pointer.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+            pointer.current.active = true;
+        };
+        const handleLeave = (event) => {
+            if (!event.relatedTarget) pointer.current.active = false;
+        };
+        const handleBlur = () => { pointer.current.active = false; };
+
+        window.addEventListener('pointermove', handleMove, { passive: true });
+        document.addEventListener('pointerout', handleLeave);
+        window.addEventListener('blur', handleBlur);
+        return () => {
+            window.removeEventListener('pointermove', handleMove);
+            document.removeEventListener('pointerout', handleLeave);
+            window.removeEventListener('blur', handleBlur);
+            // Leave the glyphs at rest when the interaction is switched off
+            states.current.forEach((state) => {
+                state?.glyph.position.set(0, 0, 0);
+                state?.glyph.quaternion.identity();
+            });
+            states.current = [];
+        };
+    }, [gl, isActive]);
+
+    const step = (glyphStates, dt, time) => {
+        glyphStates.forEach((state, index) => {
+            if (!state?.pivot) return;
+
+            // Kick glyphs upwards as a ripple's wavefront passes them
+            ripples.current.forEach((ripple) => {
+                const distance = Math.abs(index - ripple.origin);
+                if (!ripple.hit.has(index) && (time - ripple.start) * rippleSpeed >= distance) {
+                    ripple.hit.add(index);
+                    state.velocity.y += ripple.strength / (1 + distance * 0.5);
+                }
+            });
+
+            const targetZ = state.influence * lift;
+            state.velocity.x += (-stiffness * state.offset.x - damping * state.velocity.x) * dt;
+            state.velocity.y += (-stiffness * state.offset.y - damping * state.velocity.y) * dt;
+            state.velocity.z += (stiffness * (targetZ - state.offset.z) - damping * state.velocity.z) * dt;
+            state.offset.addScaledVector(state.velocity, dt);
+
+            state.tiltVelocity.x += (stiffness * (state.target.x - state.tilt.x) - damping * state.tiltVelocity.x) * dt;
+            state.tiltVelocity.y += (stiffness * (state.target.y - state.tilt.y) - damping * state.tiltVelocity.y) * dt;
+            state.tilt.addScaledVector(state.tiltVelocity, dt);
+        });
+    };
+
+    useFrame(({ camera, clock }, delta) => {
+        const glyphs = glyphsRef.current;
+        if (!isActive || !glyphs?.length) return;
+
+        const aspect = gl.domElement.clientWidth / Math.max(1, gl.domElement.clientHeight);
+        const time = clock.elapsedTime;
+
+        // Keep one state per glyph object, rebuilding when the glyphs change
+        const glyphStates = glyphs.map((glyph, index) => {
+            const existing = states.current[index];
+            return existing?.glyph === glyph ? existing : glyph && createGlyphState(glyph);
+        });
+        states.current = glyphStates;
+
+        glyphStates.forEach((state, index) => {
+            if (!state) return;
+            if (!state.pivot) state.pivot = measurePivot(state.glyph);
+            if (!state.pivot) return;
+
+            // Where the glyph's resting centre is on screen, relative to the pointer
+            _screen.copy(state.pivot);
+            state.glyph.parent?.localToWorld(_screen);
+            _screen.project(camera);
+            const dx = (pointer.current.x - _screen.x) * aspect;
+            const dy = pointer.current.y - _screen.y;
+            const distance = Math.hypot(dx, dy);
+            const influence = pointer.current.active ? THREE.MathUtils.smoothstep(radius - distance, 0, radius) : 0;
+
+            // Touching a glyph starts a ripple from it
+            if (influence > 0.5 && state.influence <= 0.5 && ripples.current.length < MAX_RIPPLES) {
+                ripples.current.push({ origin: index, start: time, strength: rippleStrength, hit: new Set([index]) });
+            }
+            state.influence = influence;
+
+            // Turn the glyph's face towards the pointer, fading out with distance
+            const reach = pointer.current.active ? THREE.MathUtils.smoothstep(radius * 3 - distance, 0, radius * 3) : 0;
+            state.target.set(
+                -THREE.MathUtils.clamp(dy / radius, -1, 1) * tilt * reach,
+                THREE.MathUtils.clamp(dx / radius, -1, 1) * tilt * reach
+            );
+        });
+
+        ripples.current = ripples.current.filter(ripple =>
+            ripple.hit.size < glyphs.length && time - ripple.start < glyphs.length / rippleSpeed + 0.5
+        );
+
+        // Fixed steps keep the springs stable and independent of the frame rate
+        accumulator.current = Math.min(accumulator.current + delta, STEP * MAX_STEPS);
+        while (accumulator.current >= STEP) {
+            step(glyphStates, STEP, time);
+            accumulator.current -= STEP;
+        }
+
+        glyphStates.forEach((state) => {
+            if (!state?.pivot) return;
+            // Rotate about the pivot: position = pivot - R * pivot + offset
+            _euler.set(state.tilt.x, state.tilt.y, 0);
+            _rotation.setFromEuler(_euler);
+            _pivotOffset.copy(state.pivot).applyQuaternion(_rotation);
+            state.glyph.position.copy(state.pivot).sub(_pivotOffset).add(state.offset);
+            state.glyph.quaternion.copy(_rotation);
+        });
+    });
+};
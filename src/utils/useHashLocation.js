@@ -0,0 +1,23 @@
+import { navigate, useLocationProperty } from 'wouter/use-location';
+
+/**
+ * Hash-based location hook for wouter's <Router hook={...}>.
+ *
+ * The widget is embedded in pages whose path belongs to the host site, so
+ * routes live in the hash: `#/project/some-slug`. Navigating to '/' drops the
+ * hash instead of leaving an empty `#/` behind.
+ */
+
+const currentHashLocation = () => window.location.hash.replace(/^#/, '') || '/';
+
+const navigateHash = (to, options) => {
+    const url = to === '/'
+        ? window.location.pathname + window.location.search
+        : '#' + to;
+    navigate(url, options);
+};
+
+/**
+ * @returns {[string, Function]} The current hash route and navigate(to, { replace })
+ */
+export const useHashLocation = () => [useLocationProperty(currentHashLocation), navigateHash];
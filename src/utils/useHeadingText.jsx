@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+
+// Heading in the host page the 3D header mirrors
+export const HEADING_SELECTOR = '[data-three="heading"]';
+
+const readHeading = (selector) => {
+    const element = document.querySelector(selector);
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : null;
+};
+
+/**
+ * Hook returning the text of a DOM heading, kept in sync when the CMS or a
+ * script changes it
+ * @param {string} [selector=HEADING_SELECTOR] - Selector of the heading element
+ * @param {boolean} [enabled=true] - Skip DOM lookups, e.g. when a prop supplies the text
+ * @returns {string|null} Heading text, or null when there is no such element
+ */
+export const useHeadingText = (selector = HEADING_SELECTOR, enabled = true) => {
+    const [text, setText] = useState(() => (enabled ? readHeading(selector) : null));
+
+    useEffect(() => {
+        if (!enabled) return;
+        setText(readHeading(selector));
+
+        const element = document.querySelector(selector);
+        if (!element) return;
+        const observer = new MutationObserver(() => setText(readHeading(selector)));
+        observer.observe(element, { childList: true, characterData: true, subtree: true });
+        return () => observer.disconnect();
+    }, [selector, enabled]);
+
+    return text;
+};
@@ -0,0 +1,17 @@
+import { useEffect, useState } from 'react';
+import { getLocale, subscribeLocale, setLocale, t } from './i18n';
+
+/**
+ * Hook re-rendering the component when the locale changes
+ * @returns {{ locale: string, t: Function, setLocale: Function }}
+ */
+export const useLocale = () => {
+    const [locale, setCurrentLocale] = useState(getLocale);
+
+    useEffect(() => {
+        setCurrentLocale(getLocale());
+        return subscribeLocale(setCurrentLocale);
+    }, []);
+
+    return { locale, t, setLocale };
+};
@@ -0,0 +1,36 @@
+import { useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+import { releaseTexture, requestTexture, retainTexture, setTextureRenderer } from './textureManager';
+
+/**
+ * Hook loading one or more textures through the shared texture manager.
+ * Suspends until they are loaded, like useLoader, throws load errors to the
+ * nearest error boundary, and retains them while the component is mounted.
+ * @param {string|string[]} input - Image or .ktx2 URL(s)
+ * @param {Object} [options] - { colorSpace, wrap, mapping }, see textureManager.js
+ * @returns {THREE.Texture|THREE.Texture[]} Matching the shape of input
+ */
+export const useManagedTexture = (input, options) => {
+    const gl = useThree(state => state.gl);
+    setTextureRenderer(gl);
+
+    const urls = Array.isArray(input) ? input : [input];
+    const urlsKey = urls.join('\n');
+    const { colorSpace, wrap, mapping } = options || {};
+
+    useEffect(() => {
+        const list = urlsKey.split('\n');
+        const textureOptions = { colorSpace, wrap, mapping };
+        list.forEach(url => retainTexture(url, textureOptions).catch(() => {}));
+        return () => list.forEach(url => releaseTexture(url, textureOptions));
+    }, [urlsKey, colorSpace, wrap, mapping]);
+
+    const requests = urls.map(url => requestTexture(url, options));
+    const failed = requests.find(request => request.error);
+    if (failed) throw failed.error;
+    const pending = requests.find(request => !request.texture);
+    if (pending) throw pending.promise;
+
+    const textures = requests.map(request => request.texture);
+    return Array.isArray(input) ? textures : textures[0];
+};
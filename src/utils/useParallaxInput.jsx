@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { createParallaxInput } from './parallaxInput';
+
+/**
+ * Hook that tracks parallax input (mouse, touch drag, device orientation) for
+ * as long as the component is mounted
+ * @param {Object} [options] - Options for createParallaxInput, read on mount
+ * @returns {Object} The input; read `input.value.x/y` inside useFrame
+ */
+export const useParallaxInput = (options) => {
+    const [input] = useState(() => createParallaxInput(options));
+
+    useEffect(() => {
+        input.start();
+        return () => input.stop();
+    }, [input]);
+
+    return input;
+};
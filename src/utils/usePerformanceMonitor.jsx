@@ -1,11 +1,14 @@
 import { useRef, useEffect, useState } from 'react';
 import { useFrame } from '@react-three/fiber';
+import { devLog, devWarn } from './devLog';
 
 /**
- * Hook to monitor performance metrics
+ * Hook that samples the frame rate once a second without any React state, so
+ * the calling component isn't re-rendered by it
+ * @param {Function} onSample - Called with { fps, memory, quality } every second
  * @param {Object} options - Configuration options
  */
-export const usePerformanceMonitor = (options = {}) => {
+const useFrameRateSampler = (onSample, options = {}) => {
     const {
         enabled = true,
         logInterval = 5000, // Log every 5 seconds
@@ -13,12 +16,6 @@ export const usePerformanceMonitor = (options = {}) => {
         criticalThreshold = 30 // FPS critical threshold
     } = options;
 
-    const [metrics, setMetrics] = useState({
-        fps: 0,
-        memory: 0,
-        quality: 'high'
-    });
-
     const frameCountRef = useRef(0);
     const lastTimeRef = useRef(0);
     const lastLogTimeRef = useRef(0);
@@ -47,16 +44,16 @@ export const usePerformanceMonitor = (options = {}) => {
                 quality = 'medium';
             }
 
-            setMetrics({ fps, memory, quality });
+            onSample({ fps, memory, quality });
 
             // Log performance issues
             if (currentTime - lastLogTimeRef.current >= logInterval) {
                 if (fps < criticalThreshold) {
-                    console.warn(`Performance Critical: ${fps} FPS, ${memory}MB memory`);
+                    devWarn(`Performance Critical: ${fps} FPS, ${memory}MB memory`);
                 } else if (fps < warningThreshold) {
-                    console.warn(`Performance Warning: ${fps} FPS, ${memory}MB memory`);
+                    devWarn(`Performance Warning: ${fps} FPS, ${memory}MB memory`);
                 } else {
-                    console.log(`Performance OK: ${fps} FPS, ${memory}MB memory`);
+                    devLog(`Performance OK: ${fps} FPS, ${memory}MB memory`);
                 }
                 lastLogTimeRef.current = currentTime;
             }
@@ -65,10 +62,40 @@ export const usePerformanceMonitor = (options = {}) => {
             lastTimeRef.current = currentTime;
         }
     });
+};
+
+/**
+ * Hook to monitor performance metrics
+ * @param {Object} options - Configuration options
+ */
+export const usePerformanceMonitor = (options = {}) => {
+    const [metrics, setMetrics] = useState({
+        fps: 0,
+        memory: 0,
+        quality: 'high'
+    });
+
+    useFrameRateSampler(setMetrics, options);
 
     return metrics;
 };
 
+/**
+ * Hook that keeps the current quality tier in a ref instead of state. Read it
+ * from frame callbacks; the component using it never re-renders for it.
+ * @param {Object} options - Configuration options, as for usePerformanceMonitor
+ * @returns {{ current: string }} Ref holding 'high', 'medium' or 'low'
+ */
+export const useQualityRef = (options = {}) => {
+    const qualityRef = useRef('high');
+
+    useFrameRateSampler(({ quality }) => {
+        qualityRef.current = quality;
+    }, options);
+
+    return qualityRef;
+};
+
 /**
  * Hook to adapt quality based on performance
  * @param {Object} options - Configuration options
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { fetchProjectDetails } from './projectDetails';
+
+/**
+ * Hook loading a project's details from its page (see projectDetails.js)
+ * @param {string|null} url - Project page URL; nothing is loaded without one
+ * @returns {{ status: 'idle'|'loading'|'loaded'|'error', details: Object|null, error: Error|null }}
+ */
+export const useProjectDetails = (url) => {
+    const [state, setState] = useState({ url: null, details: null, error: null });
+
+    useEffect(() => {
+        if (!url) return;
+        let cancelled = false;
+
+        fetchProjectDetails(url)
+            .then((details) => {
+                if (!cancelled) setState({ url, details, error: null });
+            })
+            .catch((error) => {
+                if (!cancelled) setState({ url, details: null, error });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [url]);
+
+    if (!url) return { status: 'idle', details: null, error: null };
+    // Results for a previous URL count as still loading
+    if (state.url !== url) return { status: 'loading', details: null, error: null };
+    return {
+        status: state.error ? 'error' : 'loaded',
+        details: state.details,
+        error: state.error,
+    };
+};
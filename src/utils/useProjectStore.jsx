@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+import { createProjectStore } from './projectStore';
+import { devError } from './devLog';
+
+/**
+ * Hook exposing the live project list. Starts a project store once the DOM
+ * is ready and keeps `images` in sync with the host page.
+ * @param {Object} options - Options forwarded to createProjectStore
+ */
+export const useProjectStore = (options = {}) => {
+    const [images, setImages] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const { debounce, source, layout } = options;
+    // Compare layout by value so inline option objects don't restart the store
+    const layoutKey = JSON.stringify(layout || {});
+
+    useEffect(() => {
+        const store = createProjectStore({ debounce, source, layout: JSON.parse(layoutKey) });
+        const unsubscribe = store.subscribe((nextImages) => {
+            setImages(nextImages);
+            setIsLoading(false);
+        });
+
+        const start = () => {
+            store.start().catch((err) => {
+                devError('Failed to extract images from DOM:', err);
+                setError(err);
+                setIsLoading(false);
+            });
+        };
+
+        // Ensure DOM is ready before extraction
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', start, { once: true });
+        } else {
+            start();
+        }
+
+        return () => {
+            document.removeEventListener('DOMContentLoaded', start);
+            unsubscribe();
+            store.stop();
+        };
+    }, [debounce, source, layoutKey]);
+
+    return { images, isLoading, error };
+};
@@ -0,0 +1,104 @@
+import { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useFrameRate } from './useFrameRate';
+import { pickSrcsetCandidate } from './srcset';
+import { devLog, devWarn } from './devLog';
+import { releaseTexture, retainTexture } from './textureManager';
+
+const _worldPosition = new THREE.Vector3();
+const _worldScale = new THREE.Vector3();
+
+const candidateRank = (candidate) => candidate ? (candidate.width ?? candidate.density ?? 0) : 0;
+
+/**
+ * Hook that upgrades a mesh's texture to a larger srcset candidate once the
+ * mesh is rendered bigger on screen than the current image covers (e.g. when
+ * the camera zooms into a frame). Only ever upgrades, so zooming back out
+ * doesn't thrash between resolutions.
+ * @param {Object} meshRef - Ref of the mesh showing the image
+ * @param {Object} options - Configuration options
+ * @param {Array} options.srcset - Parsed srcset candidates
+ * @param {string} options.url - URL of the texture currently shown
+ * @param {number} options.worldWidth - Width of the image in the mesh's local units
+ * @param {Object} [options.qualityRef] - Ref holding the current quality tier (see useQualityRef); 'high' without one
+ * @param {number} [options.checkFps=4] - How often to re-measure the on-screen size
+ * @returns {THREE.Texture|null} The upgraded texture, or null while the original suffices
+ */
+export const useResponsiveTexture = (meshRef, options) => {
+    const {
+        srcset,
+        url,
+        worldWidth,
+        qualityRef,
+        checkFps = 4,
+    } = options;
+
+    // { url, texture } of the upgrade, retained in the texture manager while shown
+    const [upgrade, setUpgrade] = useState(null);
+    const currentRankRef = useRef(0);
+    const loadingUrlRef = useRef(null);
+
+    const srcsetRef = useRef(srcset);
+    srcsetRef.current = srcset;
+    // Re-extracting the page's projects builds new srcset arrays for the same
+    // images, so compare the candidates by URL
+    const srcsetKey = srcset?.map(candidate => candidate.url).join() ?? '';
+
+    // Reset when the frame's image changes
+    useEffect(() => {
+        currentRankRef.current = candidateRank(srcsetRef.current?.find(candidate => candidate.url === url));
+        loadingUrlRef.current = null;
+        setUpgrade(null);
+    }, [srcsetKey, url]);
+
+    // Release the upgraded texture when it is replaced or on unmount
+    useEffect(() => {
+        return () => {
+            if (upgrade) releaseTexture(upgrade.url);
+        };
+    }, [upgrade]);
+
+    useFrameRate((state) => {
+        const mesh = meshRef.current;
+        if (!mesh || !srcset?.length || loadingUrlRef.current) return;
+
+        mesh.getWorldPosition(_worldPosition);
+        mesh.getWorldScale(_worldScale);
+
+        const distance = _worldPosition.distanceTo(state.camera.position);
+        const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(state.camera.fov) / 2);
+        const displayWidth = (worldWidth * _worldScale.x / visibleHeight) * state.size.height;
+
+        const candidate = pickSrcsetCandidate(srcset, {
+            displayWidth,
+            // Effective device pixel ratio of the canvas, which may be capped below window.devicePixelRatio
+            dpr: state.viewport.dpr,
+            quality: qualityRef?.current ?? 'high',
+        });
+
+        if (!candidate || candidateRank(candidate) <= currentRankRef.current) return;
+
+        devLog(`Upgrading texture to ${candidate.url} (${Math.round(displayWidth)}px on screen)`);
+        loadingUrlRef.current = candidate.url;
+        retainTexture(candidate.url).then(
+            (loaded) => {
+                if (loadingUrlRef.current !== candidate.url) {
+                    releaseTexture(candidate.url);
+                    return;
+                }
+                currentRankRef.current = candidateRank(candidate);
+                loadingUrlRef.current = null;
+                setUpgrade({ url: candidate.url, texture: loaded });
+            },
+            (error) => {
+                devWarn(`Failed to load texture upgrade: ${candidate.url}`, error);
+                releaseTexture(candidate.url);
+                // Don't retry this candidate
+                currentRankRef.current = candidateRank(candidate);
+                loadingUrlRef.current = null;
+            }
+        );
+    }, checkFps);
+
+    return upgrade?.texture ?? null;
+};
@@ -0,0 +1,119 @@
+import { useEffect } from 'react';
+import * as THREE from 'three';
+import { ScrollAnimationController } from './animationControlSystem';
+import { createCameraPath, resolveStageKeyframes, DEFAULT_CAMERA_PATH } from './cameraPath';
+import {
+    registerCameraShot,
+    requestCameraShot,
+    releaseCameraShot,
+    getCameraShot,
+    getCameraStage,
+    subscribeCameraShot,
+} from './cameraDirector';
+
+export const SCROLL_ROOT_SELECTOR = '#projects-root-threed';
+
+/**
+ * Scroll progress through a sticky element's range: 0 when its parent reaches
+ * the top of the viewport, 1 when the element stops sticking at the parent's end
+ * @param {HTMLElement} element - The sticky element
+ * @returns {number|null} 0-1, or null when the parent leaves no room to scroll
+ */
+export const getStickyScrollProgress = (element) => {
+    const container = element?.parentElement;
+    if (!container) return null;
+    const range = container.offsetHeight - element.offsetHeight;
+    if (range <= 0) return null;
+    return Math.max(0, Math.min(1, -container.getBoundingClientRect().top / range));
+};
+
+/**
+ * Hook that maps page scroll through the sticky scene container onto a spline
+ * camera path (see cameraPath.js). While the page is scrolled into the
+ * section, the camera director shows the 'scroll-path' shot; back at the top
+ * it returns to the idle shot. The path is a pure function of the scroll
+ * position, so scrolling up scrubs it in reverse.
+ * @param {Object} [options] - Configuration options
+ * @param {Array} [options.keyframes=DEFAULT_CAMERA_PATH] - Path keyframes
+ * @param {string} [options.selector=SCROLL_ROOT_SELECTOR] - Sticky element
+ * @param {boolean} [options.enabled=true] - Turn the scroll path off
+ */
+export const useScrollCameraPath = (options = {}) => {
+    const {
+        keyframes = DEFAULT_CAMERA_PATH,
+        selector = SCROLL_ROOT_SELECTOR,
+        enabled = true,
+    } = options;
+    const keyframesKey = JSON.stringify(keyframes);
+
+    useEffect(() => {
+        const element = document.querySelector(selector);
+        if (!enabled || !element) return;
+
+        const keyframeList = JSON.parse(keyframesKey);
+        const pose = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 0 };
+        // Stage the path was built for; stage keyframes follow the fitted stage
+        const builtFor = { position: new THREE.Vector3(), target: new THREE.Vector3() };
+        let path = null;
+        let progress = 0;
+
+        const isStageCurrent = () => {
+            const stage = getCameraStage();
+            return path && stage.position.equals(builtFor.position) && stage.target.equals(builtFor.target);
+        };
+        // Keyframes without a fov keep the stage's
+        const evaluate = (localProgress) => {
+            if (!isStageCurrent()) {
+                const stage = getCameraStage();
+                builtFor.position.copy(stage.position);
+                builtFor.target.copy(stage.target);
+                path = createCameraPath(resolveStageKeyframes(keyframeList, stage));
+            }
+            return path.evaluate(localProgress, pose, getCameraStage().fov);
+        };
+        evaluate(0);
+
+        registerCameraShot('scroll-path', {
+            // Refit on load or resize moves the stage; follow it without waiting for a scroll
+            position: () => {
+                if (!isStageCurrent()) evaluate(progress);
+                return pose.position;
+            },
+            target: () => pose.target,
+            fov: () => pose.fov,
+            duration: 0.6,
+        });
+
+        const controller = new ScrollAnimationController().addTrack({ update: evaluate });
+
+        // Show the path while scrolled into the section, unless another shot
+        // (a project close-up, the contact form) has the camera
+        const syncShot = () => {
+            const { name } = getCameraShot();
+            if (progress > 0 && name === 'idle') {
+                requestCameraShot('scroll-path');
+            } else if (progress === 0 && name === 'scroll-path') {
+                releaseCameraShot('scroll-path');
+            }
+        };
+
+        const handleScroll = () => {
+            progress = getStickyScrollProgress(element) ?? 0;
+            controller.update(progress);
+            syncShot();
+        };
+
+        handleScroll();
+        window.addEventListener('scroll', handleScroll, { passive: true });
+        window.addEventListener('resize', handleScroll);
+        const unsubscribe = subscribeCameraShot(syncShot);
+
+        return () => {
+            window.removeEventListener('scroll', handleScroll);
+            window.removeEventListener('resize', handleScroll);
+            unsubscribe();
+            releaseCameraShot('scroll-path');
+            controller.dispose();
+        };
+    }, [keyframesKey, selector, enabled]);
+};
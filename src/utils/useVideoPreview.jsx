@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { getVideoPool } from './videoPool';
+
+/**
+ * Hook playing a muted, looping preview clip from the shared video pool
+ * while `active` is true
+ * @param {string|null} url - Video URL; without one nothing plays
+ * @param {boolean} active - Whether the preview should play, e.g. while hovered
+ * @param {number} [delay=150] - Milliseconds to wait before starting, so
+ *   sweeping the pointer across frames doesn't start every clip
+ * @returns {THREE.VideoTexture|null} The texture once the clip has frames, else null
+ */
+export const useVideoPreview = (url, active, delay = 150) => {
+    const [texture, setTexture] = useState(null);
+
+    useEffect(() => {
+        if (!url || !active) return;
+        let handle = null;
+
+        const timer = setTimeout(() => {
+            handle = getVideoPool().acquire(url, {
+                onReady: setTexture,
+                onEvict: () => {
+                    handle = null;
+                    setTexture(null);
+                },
+            });
+        }, delay);
+
+        return () => {
+            clearTimeout(timer);
+            handle?.release();
+            setTexture(null);
+        };
+    }, [url, active, delay]);
+
+    return texture;
+};
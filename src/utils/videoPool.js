@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { devLog } from './devLog';
+import { getRootSetting } from './projectSources';
+
+/**
+ * Shared pool of <video> elements for frame previews.
+ *
+ * Each element comes with one VideoTexture that is reused for every clip it
+ * plays. At most `maxActive` clips play at once; acquiring one more takes the
+ * element of the least recently acquired clip, whose owner is told through
+ * onEvict so it can fall back to its still image. Released elements are
+ * paused and emptied so the browser can free the decoder.
+ */
+
+const isCoarsePointer = () =>
+    typeof window !== 'undefined' && window.matchMedia?.('(pointer: coarse)').matches;
+
+const prefersReducedData = () =>
+    typeof navigator !== 'undefined' && !!navigator.connection?.saveData;
+
+const prefersReducedMotion = () =>
+    typeof window !== 'undefined' && window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+const createVideoElement = () => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.crossOrigin = 'anonymous';
+    video.preload = 'auto';
+    return video;
+};
+
+// Crop the video to cover a square, like object-fit: cover
+const coverSquare = (texture, video) => {
+    const { videoWidth: width, videoHeight: height } = video;
+    if (!width || !height) return;
+    const aspect = width / height;
+    texture.repeat.set(aspect > 1 ? 1 / aspect : 1, aspect > 1 ? 1 : aspect);
+    texture.offset.set((1 - texture.repeat.x) / 2, (1 - texture.repeat.y) / 2);
+};
+
+const emptyElement = (video) => {
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+};
+
+/**
+ * Create a video pool
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.maxActive=3] - Clips allowed to play at once
+ * @returns {{ acquire: Function, getActiveCount: Function }}
+ */
+export const createVideoPool = ({ maxActive = 3 } = {}) => {
+    const idle = [];
+    // Slots in acquisition order, oldest first
+    const active = [];
+
+    const takeSlot = () => {
+        if (idle.length > 0) return idle.pop();
+        if (active.length < maxActive) {
+            const video = createVideoElement();
+            const texture = new THREE.VideoTexture(video);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            return { video, texture };
+        }
+        const oldest = active.shift();
+        devLog(`Video pool full (${maxActive}), stopping ${oldest.url}`);
+        oldest.detach();
+        oldest.onEvict?.();
+        return { video: oldest.video, texture: oldest.texture };
+    };
+
+    /**
+     * Start playing a clip
+     * @param {string} url - Video URL
+     * @param {Object} [callbacks] - Configuration options
+     * @param {Function} [callbacks.onReady] - Called with the texture once frames are available
+     * @param {Function} [callbacks.onEvict] - Called if the pool takes the element back for another clip
+     * @returns {{ texture: THREE.VideoTexture, release: Function }|null} Null when previews are disabled
+     */
+    const acquire = (url, { onReady, onEvict } = {}) => {
+        if (maxActive <= 0) return null;
+
+        const { video, texture } = takeSlot();
+        const handleReady = () => {
+            coverSquare(texture, video);
+            onReady?.(texture);
+        };
+        const slot = {
+            url,
+            video,
+            texture,
+            onEvict,
+            detach: () => {
+                video.removeEventListener('loadeddata', handleReady);
+                emptyElement(video);
+            },
+        };
+        active.push(slot);
+
+        video.addEventListener('loadeddata', handleReady, { once: true });
+        video.src = url;
+        video.play().catch((error) => {
+            // Autoplay can still be refused, e.g. in power saving mode
+            devLog(`Video preview did not start: ${url}`, error);
+        });
+
+        return {
+            texture,
+            release: () => {
+                const index = active.indexOf(slot);
+                if (index === -1) return; // Already evicted
+                active.splice(index, 1);
+                slot.detach();
+                idle.push({ video, texture });
+            },
+        };
+    };
+
+    return {
+        acquire,
+        getActiveCount: () => active.length,
+    };
+};
+
+// Playback cap: data-three-video-cap on the scene root, else one clip on touch
+// devices and three elsewhere; no previews with reduced data or motion
+const resolveMaxActive = () => {
+    if (prefersReducedData() || prefersReducedMotion()) return 0;
+    const configured = parseInt(getRootSetting('video-cap'), 10);
+    if (Number.isFinite(configured)) return Math.max(0, configured);
+    return isCoarsePointer() ? 1 : 3;
+};
+
+let sharedPool = null;
+
+// The pool shared by all frames, created on first use
+export const getVideoPool = () => {
+    if (!sharedPool) {
+        sharedPool = createVideoPool({ maxActive: resolveMaxActive() });
+    }
+    return sharedPool;
+};
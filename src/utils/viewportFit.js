@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+
+const _center = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _corner = new THREE.Vector3();
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Corners of the box relative to the look-at target, in camera space:
+// x/y are the absolute offsets across the view, z is towards the camera
+const toViewExtents = (box, target, direction) => {
+    _center.copy(target);
+    _forward.copy(direction).negate();
+    _right.crossVectors(_forward, WORLD_UP).normalize();
+    _up.crossVectors(_right, _forward);
+
+    const extents = [];
+    for (let i = 0; i < 8; i++) {
+        _corner.set(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        ).sub(_center);
+        extents.push({
+            x: Math.abs(_corner.dot(_right)),
+            y: Math.abs(_corner.dot(_up)),
+            z: _corner.dot(direction),
+        });
+    }
+    return extents;
+};
+
+// Smallest distance at which every corner fits the view
+const distanceFor = (extents, tanHalfFov, aspect, margin) => {
+    const tanY = tanHalfFov * (1 - 2 * margin.y);
+    const tanX = tanHalfFov * aspect * (1 - 2 * margin.x);
+    return Math.max(...extents.map(({ x, y, z }) => z + Math.max(x / tanX, y / tanY)));
+};
+
+// Smallest tan(fov / 2) at which every corner fits the view from a distance
+const tanHalfFovFor = (extents, distance, aspect, margin) => Math.max(...extents.map(({ x, y, z }) => {
+    const depth = Math.max(0.001, distance - z);
+    return Math.max(y / (depth * (1 - 2 * margin.y)), x / (depth * aspect * (1 - 2 * margin.x)));
+}));
+
+/**
+ * Frame a bounding box: keep the view direction and look-at target, move the
+ * camera along it until the box fits inside the margins, and widen the fov
+ * once the camera would have to move further back than maxDistance (e.g.
+ * narrow portrait screens). A target off the box centre keeps its offset;
+ * the box is fitted around it.
+ * @param {Object} options - Configuration options
+ * @param {THREE.Box3} options.box - World-space bounds to frame
+ * @param {THREE.Vector3} [options.target] - Look-at point; defaults to the box centre
+ * @param {THREE.Vector3} options.direction - Unit vector from the target towards the camera
+ * @param {number} options.aspect - Viewport width / height
+ * @param {number} options.fov - Preferred vertical fov in degrees
+ * @param {Object} [options.margin={ x: 0.06, y: 0.1 }] - Share of the viewport kept free on each side
+ * @param {number} [options.minDistance=0] - Never move closer than this
+ * @param {number} [options.maxDistance=Infinity] - Widen the fov rather than move further
+ * @param {number} [options.maxFov=75] - Widest fov in degrees
+ * @returns {{ position: THREE.Vector3, target: THREE.Vector3, fov: number, distance: number }}
+ */
+export const computeViewportFit = (options) => {
+    const {
+        box,
+        direction,
+        aspect,
+        fov,
+        margin = { x: 0.06, y: 0.1 },
+        minDistance = 0,
+        maxDistance = Infinity,
+        maxFov = 75,
+    } = options;
+
+    const target = options.target ? options.target.clone() : box.getCenter(new THREE.Vector3());
+    const extents = toViewExtents(box, target, direction);
+    let fittedFov = fov;
+    let distance = distanceFor(extents, Math.tan(THREE.MathUtils.degToRad(fov) / 2), aspect, margin);
+
+    if (distance > maxDistance) {
+        const neededFov = THREE.MathUtils.radToDeg(2 * Math.atan(tanHalfFovFor(extents, maxDistance, aspect, margin)));
+        fittedFov = THREE.MathUtils.clamp(neededFov, fov, maxFov);
+        distance = distanceFor(extents, Math.tan(THREE.MathUtils.degToRad(fittedFov) / 2), aspect, margin);
+    }
+    distance = Math.max(minDistance, distance);
+
+    return {
+        position: target.clone().addScaledVector(direction, distance),
+        target,
+        fov: fittedFov,
+        distance,
+    };
+};
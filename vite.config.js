@@ -1,9 +1,13 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import mockContactEndpoint from './dev/mockContactEndpoint'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), mockContactEndpoint()],
+  test: {
+    environment: 'jsdom',
+  },
   define: {
     'process.env': {},
     'process': {},